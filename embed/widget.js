@@ -0,0 +1,29 @@
+// Script-tag embed for partner sites. Inserts an iframe of /embed/district after the script tag:
+//   <script src="https://<tracker>/embed/widget.js" data-state="MH" data-district="..."
+//           data-lang="mr" data-theme="dark" data-metrics="householdsWorked,avgWage"></script>
+// The card reports its height, so the iframe grows to fit it.
+(function () {
+    var script = document.currentScript;
+    if (!script) return;
+
+    var origin = new URL(script.src).origin;
+    var params = new URLSearchParams();
+    ['state', 'district', 'lang', 'theme', 'metrics'].forEach(function (name) {
+        var value = script.getAttribute('data-' + name);
+        if (value) params.set(name, value);
+    });
+
+    var frame = document.createElement('iframe');
+    frame.src = origin + '/embed/district?' + params.toString();
+    frame.title = script.getAttribute('data-title') || 'MGNREGA';
+    frame.loading = 'lazy';
+    frame.style.cssText = 'border:0;width:100%;max-width:420px;height:' + (parseInt(script.getAttribute('data-height'), 10) || 320) + 'px;';
+    script.parentNode.insertBefore(frame, script.nextSibling);
+
+    window.addEventListener('message', function (event) {
+        if (event.origin !== origin || event.source !== frame.contentWindow) return;
+        if (event.data && event.data.type === 'mgnrega-embed-height') {
+            frame.style.height = event.data.height + 'px';
+        }
+    });
+})();
@@ -5,8 +5,21 @@ const cors = require('cors');
 const cron = require('node-cron');
 const axios = require('axios');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const net = require('net');
+const PDFDocument = require('pdfkit');
+const nodemailer = require('nodemailer');
 require('dotenv').config();
 
+// Bundled registry of every state/UT and its districts (Hindi + English names, LGD state codes)
+const INDIA_REGISTRY = require('./data/india-registry.json');
+
+// UI and API strings, one bundle per language. index.html fetches the same files from /locales.
+const LOCALES = ['mr', 'hi', 'en'];
+const DEFAULT_LOCALE = 'en';
+const LOCALE_BUNDLES = Object.fromEntries(LOCALES.map(locale => [locale, require(`./locales/${locale}.json`)]));
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -14,19 +27,150 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 for one hop) so req.ip is the client's
+// address; per-IP rate limits and API logs depend on it
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // FIX: Serve static files from the current directory
-app.use(express.static(__dirname)); 
+app.use(express.static(__dirname, {
+  setHeaders(res, filePath) {
+    // The embed script is loaded by partner sites
+    if (filePath === path.join(__dirname, 'embed', 'widget.js')) {
+      res.set({ 'Cache-Control': 'public, max-age=3600', 'Cross-Origin-Resource-Policy': 'cross-origin' });
+    }
+  }
+}));
 
 // MongoDB Connection
 // FIX: Ensure the fallback URI explicitly includes the desired database name.
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mgnrega_db';
 
-mongoose.connect(MONGODB_URI)
-.then(() => console.log('✅ MongoDB connected successfully'))
-.catch(err => {
-  console.error('❌ MongoDB connection failed:', err.message);
-  process.exit(1);
-});
+// data.gov.in sync configuration. The base URL is configurable so the nightly
+// job can be pointed at a local mock server during development.
+const MGNREGA_API_BASE_URL = process.env.MGNREGA_API_BASE_URL || 'https://api.data.gov.in/resource';
+const MGNREGA_RESOURCE_ID = process.env.MGNREGA_RESOURCE_ID || 'ee03643a-ee4c-48c2-ac30-9f2ff26ab722';
+const DATA_GOV_API_KEY = process.env.DATA_GOV_API_KEY || '';
+const SYNC_PAGE_SIZE = parseInt(process.env.SYNC_PAGE_SIZE, 10) || 500;
+const SYNC_MAX_RETRIES = parseInt(process.env.SYNC_MAX_RETRIES, 10) || 3;
+const SYNC_CRON = process.env.SYNC_CRON || '0 2 * * *';
+// A 'started' SyncLog older than this is treated as a crashed run, not a running one.
+const SYNC_STALE_AFTER_MS = 6 * 60 * 60 * 1000;
+
+// District boundary polygons used for offline reverse geocoding
+const DISTRICT_BOUNDARIES_PATH = process.env.DISTRICT_BOUNDARIES_PATH || path.join(__dirname, 'data', 'district-boundaries.geojson');
+// Nominatim is only consulted when a contact address is configured (required by its usage policy)
+const NOMINATIM_CONTACT_EMAIL = process.env.NOMINATIM_CONTACT_EMAIL || '';
+
+// /api/district-data response cache. Entries are dropped whenever a sync, import or seed
+// rewrites the state's data; the TTL bounds staleness for writes made by other processes
+// (e.g. `node server.js import` run alongside the server).
+const DISTRICT_DATA_CACHE_TTL_MS = parseInt(process.env.DISTRICT_DATA_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+const DISTRICT_DATA_CACHE_MAX_ENTRIES = 2000;
+const DISTRICT_DATA_CACHE_CONTROL = 'public, max-age=300, stale-while-revalidate=86400';
+
+// API logs are buffered and written in batches instead of on the request path
+const API_LOG_FLUSH_INTERVAL_MS = parseInt(process.env.API_LOG_FLUSH_INTERVAL_MS, 10) || 5000;
+const API_LOG_BATCH_SIZE = 100;
+// Oldest entries are dropped beyond this if the database stays unreachable
+const API_LOG_MAX_BUFFER = 5000;
+// Entries older than this many days are deleted by a TTL index; 0 keeps them forever
+const API_LOG_RETENTION_DAYS = process.env.API_LOG_RETENTION_DAYS ? parseFloat(process.env.API_LOG_RETENTION_DAYS) : 90;
+// How client IPs are stored: 'truncate' zeroes the host part (IPv4 /24, IPv6 /48),
+// 'drop' stores none, 'full' keeps the raw address
+const API_LOG_IP_MODES = ['truncate', 'drop', 'full'];
+const API_LOG_IP_MODE = API_LOG_IP_MODES.includes(process.env.API_LOG_IP_MODE) ? process.env.API_LOG_IP_MODE : 'truncate';
+// Logged lat/lng are rounded to this many decimals (1 = about 11 km)
+const API_LOG_COORDINATE_DECIMALS = 1;
+
+// Admin API credentials as comma-separated "name:token" pairs (e.g. "asha:<token>,ravi:<token>").
+// The name is what the audit trail records as the actor. Admin routes are disabled when empty.
+const ADMIN_TOKENS = parseNamedTokens(process.env.ADMIN_TOKENS, 'ADMIN_TOKENS')
+  .map(({ name, token }) => ({ actor: name, token }));
+
+// Public /api/v1 keys, same "name:key" format, sent in the X-API-Key header. Keys are optional:
+// callers without one are limited per IP, callers with one per key (at the higher limit).
+const PUBLIC_API_KEYS = parseNamedTokens(process.env.PUBLIC_API_KEYS, 'PUBLIC_API_KEYS');
+const API_RATE_LIMIT_WINDOW_MS = parseInt(process.env.API_RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000;
+const API_RATE_LIMIT_ANONYMOUS = parseInt(process.env.API_RATE_LIMIT_ANONYMOUS, 10) || 60;
+const API_RATE_LIMIT_KEYED = parseInt(process.env.API_RATE_LIMIT_KEYED, 10) || 600;
+
+// "name:token,name:token" -> [{ name, token }]. Entries without a name, a ':' or a token are
+// dropped with a warning that gives their position, not their text (which holds the secret).
+function parseNamedTokens(value, variable) {
+  const entries = [];
+  (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach((entry, index) => {
+      const separator = entry.indexOf(':');
+      const name = separator === -1 ? '' : entry.slice(0, separator).trim();
+      const token = separator === -1 ? '' : entry.slice(separator + 1).trim();
+      if (!name || !token) {
+        console.warn(`⚠️ Ignoring entry ${index + 1} of ${variable}: expected "name:token".`);
+        return;
+      }
+      entries.push({ name, token });
+    });
+  return entries;
+}
+
+// District change alerts. SMS and WhatsApp are POSTed as JSON to gateway webhooks, email goes
+// over SMTP; a channel is offered only when configured, and each can point at a local stub server.
+const SMS_WEBHOOK_URL = process.env.SMS_WEBHOOK_URL || '';
+const WHATSAPP_WEBHOOK_URL = process.env.WHATSAPP_WEBHOOK_URL || '';
+// Sent as a Bearer token to the gateways and required from them on the inbound (STOP) webhook
+const NOTIFY_WEBHOOK_TOKEN = process.env.NOTIFY_WEBHOOK_TOKEN || '';
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+// true = implicit TLS (port 465); otherwise STARTTLS is used when the server offers it
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER || '';
+const SMTP_PASS = process.env.SMTP_PASS || '';
+const SMTP_FROM = process.env.SMTP_FROM || 'mgnrega-alerts@localhost';
+// Used to build the unsubscribe links in alerts
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+// A month-on-month fall in households worked of at least this much triggers an alert
+const ALERT_HOUSEHOLDS_DROP_PERCENT = parseFloat(process.env.ALERT_HOUSEHOLDS_DROP_PERCENT) || 20;
+// Per-subscriber rate limit: at most one alert message in this window
+const ALERT_MIN_INTERVAL_HOURS = parseFloat(process.env.ALERT_MIN_INTERVAL_HOURS) || 24;
+// Opt-in codes a client IP and a contact may request per day, so the subscription endpoint
+// cannot be used to pump paid messages to arbitrary numbers
+const SUBSCRIPTION_DAILY_LIMIT_PER_IP = parseInt(process.env.SUBSCRIPTION_DAILY_LIMIT_PER_IP, 10) || 10;
+const SUBSCRIPTION_DAILY_LIMIT_PER_CONTACT = parseInt(process.env.SUBSCRIPTION_DAILY_LIMIT_PER_CONTACT, 10) || 5;
+// Leading zero bits the proof of work sent with POST /api/subscriptions must have (0 turns it off)
+const SUBSCRIPTION_POW_BITS = process.env.SUBSCRIPTION_POW_BITS !== undefined
+  ? parseInt(process.env.SUBSCRIPTION_POW_BITS, 10) || 0
+  : 20;
+
+// Comma-separated state codes to seed (e.g. "MH,RJ"). Defaults to every state in the registry.
+const SEED_STATES = process.env.SEED_STATES
+  ? process.env.SEED_STATES.split(',').map(code => code.trim().toUpperCase()).filter(Boolean)
+  : INDIA_REGISTRY.states.map(state => state.stateCode);
+
+// In demo mode, seeded districts without data get DEMO_YEARS of synthetic monthly history from
+// the generator (repeatable from DEMO_SEED). Without it, startup never writes synthetic figures.
+const DEMO_MODE = process.env.DEMO_MODE === 'true';
+const DEMO_SEED = process.env.DEMO_SEED || 'mgnrega-demo';
+const DEMO_YEARS = parseInt(process.env.DEMO_YEARS, 10) || 3;
+
+// CLI entry points are dispatched at the end of the file; `generate --out` only writes files.
+// When the file is required (by the tests under test/) nothing connects, schedules or listens.
+const RUN_AS_MAIN = require.main === module;
+const [command, ...commandArgs] = RUN_AS_MAIN ? process.argv.slice(2) : [];
+const DATABASE_REQUIRED = RUN_AS_MAIN && !(command === 'generate' && commandArgs.some(arg => arg === '--out' || arg.startsWith('--out=')));
+
+if (DATABASE_REQUIRED) {
+  mongoose.connect(MONGODB_URI)
+  .then(() => console.log('✅ MongoDB connected successfully'))
+  .catch(err => {
+    console.error('❌ MongoDB connection failed:', err.message);
+    process.exit(1);
+  });
+}
 
 // MongoDB Schemas (Schemas remain the same)
 const districtSchema = new mongoose.Schema({
@@ -34,15 +178,26 @@ const districtSchema = new mongoose.Schema({
   stateName: { type: String, required: true },
   districtName: { type: String, required: true, index: true },
   districtCode: String,
+  // Display names per locale ({ hi, en, mr }); districtName stays the canonical key
+  localNames: {
+    hi: String,
+    en: String,
+    mr: String
+  },
+  // Names this district had before a rename (by an admin or listed in the registry); still
+  // matched by sync, import, seeding and district search
+  formerNames: [String],
+  // Other spellings and Devanagari/Latin transliterations, matched by district search only
+  aliases: [String],
+  // Retired districts are hidden from listings and receive no new data; their history is kept
+  retired: { type: Boolean, default: false },
+  retiredAt: Date,
   createdAt: { type: Date, default: Date.now }
 });
 districtSchema.index({ stateCode: 1, districtName: 1 }, { unique: true });
 
-const performanceSchema = new mongoose.Schema({
-  stateCode: { type: String, required: true, index: true },
-  districtName: { type: String, required: true, index: true },
-  dataMonth: { type: Date, required: true, index: true },
-  
+// Metric fields shared by district, block and panchayat performance records
+const performanceMetricFields = {
   // Job card and worker statistics
   jobCardsIssued: { type: Number, default: 0 },
   householdsWorked: { type: Number, default: 0 },
@@ -61,11 +216,33 @@ const performanceSchema = new mongoose.Schema({
   
   // Works data
   completedWorks: { type: Number, default: 0 },
-  ongoingWorks: { type: Number, default: 0 },
+  ongoingWorks: { type: Number, default: 0 }
+};
+
+// Data quality flags, rewritten by checkDataQuality() after every insert or sync
+const qualityFlagFields = {
+  qualityFlags: [{
+    _id: false,
+    code: String,
+    severity: { type: String, enum: ['error', 'warning'] },
+    field: String,
+    message: String
+  }],
+  qualityCheckedAt: Date
+};
+
+const performanceSchema = new mongoose.Schema({
+  stateCode: { type: String, required: true, index: true },
+  districtName: { type: String, required: true, index: true },
+  dataMonth: { type: Date, required: true, index: true },
+  
+  ...performanceMetricFields,
   
   // Metadata
   updatedAt: { type: Date, default: Date.now },
-  dataSource: { type: String, default: 'data.gov.in (Simulated)' }
+  dataSource: { type: String, default: 'data.gov.in (Simulated)' },
+
+  ...qualityFlagFields
 });
 
 // 1. ORIGINAL INDEX: Ensures uniqueness (state, district, month are unique)
@@ -78,6 +255,56 @@ performanceSchema.index({
     dataMonth: -1 
 });
 
+// Geographic hierarchy below the district: state → district → block → Gram Panchayat.
+// Names are unique within their parent; the importer creates entries as block/panchayat rows arrive.
+const blockSchema = new mongoose.Schema({
+  stateCode: { type: String, required: true },
+  districtName: { type: String, required: true },
+  blockName: { type: String, required: true },
+  blockCode: String,
+  createdAt: { type: Date, default: Date.now }
+});
+blockSchema.index({ stateCode: 1, districtName: 1, blockName: 1 }, { unique: true });
+
+const panchayatSchema = new mongoose.Schema({
+  stateCode: { type: String, required: true },
+  districtName: { type: String, required: true },
+  blockName: { type: String, required: true },
+  panchayatName: { type: String, required: true },
+  panchayatCode: String,
+  createdAt: { type: Date, default: Date.now }
+});
+panchayatSchema.index({ stateCode: 1, districtName: 1, blockName: 1, panchayatName: 1 }, { unique: true });
+
+// Monthly figures below district level. A block's figures are rolled up from its panchayats, and
+// the district's Performance from its blocks, once every known area below has data for that month.
+const blockPerformanceSchema = new mongoose.Schema({
+  stateCode: { type: String, required: true },
+  districtName: { type: String, required: true },
+  blockName: { type: String, required: true },
+  dataMonth: { type: Date, required: true },
+  ...performanceMetricFields,
+  updatedAt: { type: Date, default: Date.now },
+  dataSource: String,
+  ...qualityFlagFields
+});
+blockPerformanceSchema.index({ stateCode: 1, districtName: 1, blockName: 1, dataMonth: 1 }, { unique: true });
+blockPerformanceSchema.index({ stateCode: 1, districtName: 1, dataMonth: -1 });
+
+const panchayatPerformanceSchema = new mongoose.Schema({
+  stateCode: { type: String, required: true },
+  districtName: { type: String, required: true },
+  blockName: { type: String, required: true },
+  panchayatName: { type: String, required: true },
+  dataMonth: { type: Date, required: true },
+  ...performanceMetricFields,
+  updatedAt: { type: Date, default: Date.now },
+  dataSource: String,
+  ...qualityFlagFields
+});
+panchayatPerformanceSchema.index({ stateCode: 1, districtName: 1, blockName: 1, panchayatName: 1, dataMonth: 1 }, { unique: true });
+panchayatPerformanceSchema.index({ stateCode: 1, districtName: 1, blockName: 1, dataMonth: -1 });
+
 const apiLogSchema = new mongoose.Schema({
   endpoint: { type: String, required: true, index: true },
   ipAddress: String,
@@ -86,439 +313,5107 @@ const apiLogSchema = new mongoose.Schema({
   responseStatus: Number,
   responseTimeMs: Number,
   errorMessage: String,
-  createdAt: { type: Date, default: Date.now, index: true }
+  // /api/detect-location: 'boundaries' or 'nominatim' when a district was found,
+  // otherwise 'outside_boundaries', 'unmatched', 'geocode_failed', 'invalid' or 'error'
+  outcome: String,
+  // Indexed by ensureApiLogRetention(), which also applies the TTL
+  createdAt: { type: Date, default: Date.now }
 });
+apiLogSchema.index({ endpoint: 1, createdAt: -1 });
 const syncLogSchema = new mongoose.Schema({
   syncType: { type: String, required: true },
   status: { type: String, enum: ['started', 'success', 'failed'], required: true, index: true },
   recordsProcessed: { type: Number, default: 0 },
+  recordsInserted: { type: Number, default: 0 },
+  recordsUpdated: { type: Number, default: 0 },
+  recordsSkipped: { type: Number, default: 0 },
   errorMessage: String,
   startedAt: { type: Date, default: Date.now, index: true },
   completedAt: Date
 });
 
+// Append-only trail of admin changes (who changed what, with before/after values)
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: String, required: true, index: true },
+  action: {
+    type: String,
+    required: true,
+    enum: ['district.create', 'district.update', 'district.retire', 'performance.correct', 'performance.delete', 'sync.trigger']
+  },
+  entityType: { type: String, required: true, enum: ['District', 'Performance', 'Sync'] },
+  entityId: mongoose.Schema.Types.ObjectId,
+  stateCode: String,
+  districtName: String,
+  dataMonth: Date,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  reason: String,
+  ipAddress: String,
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ stateCode: 1, districtName: 1, createdAt: -1 });
+
+// Entries can only be inserted: every update/delete path through the model is rejected
+['updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'deleteOne', 'deleteMany'].forEach(operation => {
+  auditLogSchema.pre(operation, function () {
+    throw new Error('AuditLog is append-only');
+  });
+});
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) throw new Error('AuditLog is append-only');
+});
+
+// Materialised per-state monthly averages and totals, rebuilt by refreshAggregates() at ingestion
+const stateAggregateSchema = new mongoose.Schema({
+  stateCode: { type: String, required: true },
+  dataMonth: { type: Date, required: true },
+  districtCount: { type: Number, default: 0 },
+  avgHouseholds: Number,
+  avgActiveWorkers: Number,
+  avgWomenWorkers: Number,
+  avgAvgDays: Number,
+  avgAvgWage: Number,
+  totalHouseholds: Number,
+  totalPersondays: Number,
+  totalExpenditure: Number,
+  totalJobCards: Number,
+  totalCompletedWorks: Number,
+  totalOngoingWorks: Number,
+  computedAt: { type: Date, default: Date.now }
+});
+stateAggregateSchema.index({ stateCode: 1, dataMonth: 1 }, { unique: true });
+
+// Materialised /api/district-data payload for each district's latest month
+const districtAggregateSchema = new mongoose.Schema({
+  stateCode: { type: String, required: true },
+  districtName: { type: String, required: true },
+  payload: mongoose.Schema.Types.Mixed,
+  payloadVersion: Number,
+  computedAt: { type: Date, default: Date.now }
+});
+districtAggregateSchema.index({ stateCode: 1, districtName: 1 }, { unique: true });
+
+// A contact that wants change alerts for one district. Subscriptions stay 'pending' until the
+// code sent to the contact is confirmed, and are kept as 'unsubscribed' after opting out.
+const subscriptionSchema = new mongoose.Schema({
+  stateCode: { type: String, required: true },
+  districtName: { type: String, required: true },
+  channel: { type: String, required: true, enum: ['sms', 'whatsapp', 'email'] },
+  contact: { type: String, required: true },
+  // Alerts are sent in this language followed by English
+  locale: { type: String, enum: LOCALES, default: 'hi' },
+  status: { type: String, enum: ['pending', 'active', 'unsubscribed'], default: 'pending', index: true },
+  optInCodeHash: String,
+  optInSentAt: Date,
+  optInExpiresAt: Date,
+  optInAttempts: { type: Number, default: 0 },
+  unsubscribeToken: { type: String, required: true, unique: true },
+  optedInAt: Date,
+  optedOutAt: Date,
+  lastAlertAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+subscriptionSchema.index({ channel: 1, contact: 1, stateCode: 1, districtName: 1 }, { unique: true });
+subscriptionSchema.index({ stateCode: 1, districtName: 1, status: 1 });
+
+// One row per alert message attempted, also used to avoid repeating an alert for the same month
+const alertLogSchema = new mongoose.Schema({
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  channel: String,
+  stateCode: String,
+  districtName: String,
+  dataMonth: Date,
+  alerts: [String],
+  status: { type: String, enum: ['sent', 'failed', 'rate_limited'], required: true },
+  errorMessage: String,
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
 // Models
 const District = mongoose.model('District', districtSchema);
 const Performance = mongoose.model('Performance', performanceSchema);
+const Block = mongoose.model('Block', blockSchema);
+const Panchayat = mongoose.model('Panchayat', panchayatSchema);
+const BlockPerformance = mongoose.model('BlockPerformance', blockPerformanceSchema);
+const PanchayatPerformance = mongoose.model('PanchayatPerformance', panchayatPerformanceSchema);
 const ApiLog = mongoose.model('ApiLog', apiLogSchema);
 const SyncLog = mongoose.model('SyncLog', syncLogSchema);
+const StateAggregate = mongoose.model('StateAggregate', stateAggregateSchema);
+const DistrictAggregate = mongoose.model('DistrictAggregate', districtAggregateSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+const AlertLog = mongoose.model('AlertLog', alertLogSchema);
+
+// --- Buffered API Logging ---
+let apiLogBuffer = [];
+
+// Queues an ApiLog entry; never blocks or fails the request that produced it
+function logApiCall(entry) {
+  apiLogBuffer.push({
+    ...entry,
+    ipAddress: anonymiseIp(entry.ipAddress),
+    requestParams: coarsenCoordinates(entry.requestParams),
+    createdAt: new Date()
+  });
+  if (apiLogBuffer.length > API_LOG_MAX_BUFFER) {
+    apiLogBuffer.splice(0, apiLogBuffer.length - API_LOG_MAX_BUFFER);
+  }
+  if (apiLogBuffer.length >= API_LOG_BATCH_SIZE) flushApiLogs();
+}
+
+async function flushApiLogs() {
+  if (apiLogBuffer.length === 0) return;
+  const batch = apiLogBuffer;
+  apiLogBuffer = [];
+  try {
+    await ApiLog.insertMany(batch, { ordered: false, lean: true });
+  } catch (error) {
+    console.error(`Failed to write ${batch.length} API log entries:`, error.message);
+  }
+}
+
+setInterval(flushApiLogs, API_LOG_FLUSH_INTERVAL_MS).unref();
+
+// ApiLog entry for the request being answered
+function logRequest(req, endpoint, startTime, responseStatus, extra = {}) {
+  logApiCall({
+    endpoint,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestParams: req.query,
+    responseStatus,
+    responseTimeMs: Date.now() - startTime,
+    ...extra
+  });
+}
+
+// Applies API_LOG_IP_MODE. Truncation keeps enough to tell networks and regions apart, not people.
+function anonymiseIp(ip) {
+  if (!ip || API_LOG_IP_MODE === 'drop') return undefined;
+  if (API_LOG_IP_MODE === 'full') return ip;
+
+  // Dual-stack sockets report IPv4 clients as ::ffff:a.b.c.d
+  const v4 = /^(?:::ffff:)?(\d+\.\d+\.\d+)\.\d+$/i.exec(ip);
+  if (v4) return `${v4[1]}.0`;
+
+  const address = ip.split('%')[0];
+  if (!net.isIPv6(address)) return undefined;
+  const [head, tail = ''] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+}
+
+function coarsenCoordinates(params) {
+  if (!params || (params.lat === undefined && params.lng === undefined)) return params;
+  const coarse = { ...params };
+  ['lat', 'lng'].forEach(key => {
+    const value = parseFloat(params[key]);
+    coarse[key] = Number.isFinite(value) ? value.toFixed(API_LOG_COORDINATE_DECIMALS) : undefined;
+  });
+  return coarse;
+}
+
+// Creates (or replaces) the createdAt index so it carries the configured TTL
+async function ensureApiLogRetention() {
+  const expireAfterSeconds = API_LOG_RETENTION_DAYS > 0 ? Math.round(API_LOG_RETENTION_DAYS * 24 * 60 * 60) : undefined;
+  try {
+    // Listing indexes fails while the collection does not exist yet
+    const indexes = await ApiLog.collection.indexes().catch(() => []);
+    const existing = indexes.find(index => index.name === 'createdAt_1');
+    if (existing && existing.expireAfterSeconds === expireAfterSeconds) return;
+
+    if (existing) await ApiLog.collection.dropIndex('createdAt_1');
+    await ApiLog.collection.createIndex({ createdAt: 1 }, expireAfterSeconds ? { expireAfterSeconds } : {});
+    console.log(expireAfterSeconds
+      ? `🗑️ API logs now expire after ${API_LOG_RETENTION_DAYS} days`
+      : '🗑️ API log retention disabled; entries are kept forever');
+  } catch (error) {
+    console.error('Failed to apply API log retention:', error.message);
+  }
+}
+
+// One-off rewrite of entries logged before anonymisation was enabled (or under another mode):
+// `node server.js anonymise-logs`
+async function runAnonymiseLogsCommand() {
+  let updated = 0;
+  let failed = false;
+  try {
+    const cursor = ApiLog.find({ $or: [{ ipAddress: { $exists: true } }, { 'requestParams.lat': { $exists: true } }] })
+      .select('ipAddress requestParams')
+      .lean()
+      .cursor();
+
+    let operations = [];
+    for await (const entry of cursor) {
+      const ipAddress = anonymiseIp(entry.ipAddress);
+      const requestParams = coarsenCoordinates(entry.requestParams);
+      const update = {};
+      if (ipAddress !== entry.ipAddress) {
+        if (ipAddress === undefined) update.$unset = { ipAddress: 1 };
+        else update.$set = { ipAddress };
+      }
+      if (JSON.stringify(requestParams) !== JSON.stringify(entry.requestParams)) {
+        update.$set = { ...update.$set, requestParams };
+      }
+      if (Object.keys(update).length === 0) continue;
+      operations.push({ updateOne: { filter: { _id: entry._id }, update } });
+
+      if (operations.length >= API_LOG_BATCH_SIZE) {
+        updated += (await ApiLog.bulkWrite(operations, { ordered: false })).modifiedCount;
+        operations = [];
+      }
+    }
+    if (operations.length > 0) {
+      updated += (await ApiLog.bulkWrite(operations, { ordered: false })).modifiedCount;
+    }
+    console.log(`✅ Anonymised ${updated} API log entries (IP mode: ${API_LOG_IP_MODE})`);
+  } catch (error) {
+    console.error('❌ Anonymising API logs failed:', error.message);
+    failed = true;
+  }
+  await mongoose.connection.close();
+  process.exit(failed ? 1 : 0);
+}
+
+// --- District Data Response Cache ---
+// Bump whenever the /api/district-data payload changes shape so stored snapshots get rebuilt
+const DISTRICT_PAYLOAD_VERSION = 5;
+
+// Key: "<stateCode>|<districtName>", value: { json, etag, expiresAt }. Map order doubles as LRU order.
+const districtDataCache = new Map();
+
+function getCachedDistrictData(key) {
+  const entry = districtDataCache.get(key);
+  if (!entry) return null;
+  districtDataCache.delete(key);
+  if (entry.expiresAt <= Date.now()) return null;
+  districtDataCache.set(key, entry);
+  return entry;
+}
+
+// Serialises the payload once so hits skip both JSON.stringify and ETag hashing
+function setCachedDistrictData(key, payload) {
+  const json = JSON.stringify(payload);
+  const entry = {
+    json,
+    etag: `"${crypto.createHash('sha1').update(json).digest('base64url')}"`,
+    expiresAt: Date.now() + DISTRICT_DATA_CACHE_TTL_MS
+  };
+  districtDataCache.set(key, entry);
+  if (districtDataCache.size > DISTRICT_DATA_CACHE_MAX_ENTRIES) {
+    districtDataCache.delete(districtDataCache.keys().next().value);
+  }
+  return entry;
+}
+
+// Drops cached responses for one state, or everything when no state is given
+function invalidateDistrictDataCache(stateCode) {
+  if (!stateCode) return districtDataCache.clear();
+  for (const key of districtDataCache.keys()) {
+    if (key.startsWith(`${stateCode}|`)) districtDataCache.delete(key);
+  }
+}
+
+// Reads the materialised payload for a stored District document, building (and materialising)
+// it on a miss. The DistrictAggregate filter comes from the document, never from request input.
+async function loadDistrictData(district) {
+  // Retired districts stay viewable but are left out of the materialised snapshots
+  if (district.retired) return buildDistrictData(district.stateCode, district.districtName);
+
+  const filter = { stateCode: district.stateCode, districtName: district.districtName };
+  const aggregate = await DistrictAggregate.findOne(filter).lean();
+  if (aggregate && aggregate.payloadVersion === DISTRICT_PAYLOAD_VERSION) return aggregate.payload;
+
+  const payload = await buildDistrictData(district.stateCode, district.districtName);
+  if (payload) {
+    await DistrictAggregate.updateOne(
+      filter,
+      { $set: { payload, payloadVersion: DISTRICT_PAYLOAD_VERSION, computedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+  return payload;
+}
+
+// Cache entry for a stored District document, or null when the district has no data
+async function loadCachedDistrictData(district) {
+  const cacheKey = `${district.stateCode}|${district.districtName}`;
+  const cached = getCachedDistrictData(cacheKey);
+  if (cached) return cached;
+
+  const payload = await loadDistrictData(district);
+  return payload ? setCachedDistrictData(cacheKey, payload) : null;
+}
 
-// API Endpoints (Endpoints remain the same)
 app.get('/api/district-data', async (req, res) => {
   const startTime = Date.now();
   
   try {
     const { state, district } = req.query;
 
-    if (!state || !district) {
+    if (typeof state !== 'string' || typeof district !== 'string' || !state || !district) {
+      logRequest(req, '/api/district-data', startTime, 400);
       return res.status(400).json({ 
-        error: 'State and district parameters are required' 
-      });
-    }
-
-    // --- 1. Get current month data (latest) ---
-    const currentData = await Performance.findOne({
-      stateCode: state,
-      districtName: district
-    }).sort({ dataMonth: -1 });
-
-    if (!currentData) {
-      return res.status(404).json({ 
-        error: 'No data found for this district',
-        message: 'Database initialization might be incomplete or district name is incorrect.'
+        error: apiMessage(req, 'api.stateDistrictRequired') 
       });
     }
 
-    // --- Only current data exists, so comparisons will default to current data ---
-    const latestDataMonth = currentData.dataMonth;
-
-    // Last Month (Will likely be null, defaulting comparison value to currentData in final metrics)
-    const lastMonth = new Date(latestDataMonth);
-    lastMonth.setMonth(lastMonth.getMonth() - 1);
-    
-    const lastMonthData = await Performance.findOne({
-      stateCode: state,
-      districtName: district,
-      dataMonth: lastMonth
-    });
+    // Entries are only ever written under a stored district's own key, so a hit needs no lookup
+    let cached = getCachedDistrictData(`${state}|${district}`);
 
-    // Last Year (Will likely be null, defaulting comparison value to currentData in final metrics)
-    const lastYear = new Date(latestDataMonth);
-    lastYear.setFullYear(lastYear.getFullYear() - 1);
-    
-    const lastYearData = await Performance.findOne({
-      stateCode: state,
-      districtName: district,
-      dataMonth: lastYear
-    });
+    if (!cached) {
+      const districtDoc = await District.findOne({ stateCode: state, districtName: district })
+        .select('stateCode districtName retired')
+        .lean();
+      cached = districtDoc && await loadCachedDistrictData(districtDoc);
 
-    // State average
-    const stateAvgData = await Performance.aggregate([
-      {
-        $match: {
-          stateCode: state,
-          dataMonth: latestDataMonth
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          avgHouseholds: { $avg: '$householdsWorked' },
-          avgAvgDays: { $avg: '$avgDaysProvided' },
-          avgAvgWage: { $avg: '$avgWage' }
-        }
+      if (!cached) {
+        logRequest(req, '/api/district-data', startTime, 404);
+        return res.status(404).json({ 
+          error: apiMessage(req, 'api.noDistrictData'),
+          message: apiMessage(req, 'api.noDistrictDataHint')
+        });
       }
-    ]);
-
-    // Historical data (returns only the single current month record)
-    const historical = [currentData];
-
-
-    // Calculate final metrics (Handling null comparisons by using currentData)
-    const lastMonthHouseholds = lastMonthData ? lastMonthData.householdsWorked : currentData.householdsWorked;
-    const lastYearHouseholds = lastYearData ? lastYearData.householdsWorked : currentData.householdsWorked;
-    const stateAvgHouseholds = stateAvgData.length > 0 ? stateAvgData[0].avgHouseholds : currentData.householdsWorked;
-    const stateAvgDays = stateAvgData.length > 0 ? stateAvgData[0].avgAvgDays : currentData.avgDaysProvided;
-    const stateAvgWage = stateAvgData.length > 0 ? stateAvgData[0].avgAvgWage : currentData.avgWage;
-
-    // The logic below ensures that if no previous data exists, the change is 0 (or calculated against itself)
-    const lastMonthChange = lastMonthData ? ((currentData.householdsWorked - lastMonthHouseholds) / lastMonthHouseholds * 100) : 0;
-    const lastYearChange = lastYearData ? ((currentData.householdsWorked - lastYearHouseholds) / lastYearHouseholds * 100) : 0;
-    const stateComparisonHouseholds = currentData.householdsWorked - stateAvgHouseholds;
-
-
-    // Format response
-    const response = {
-      district: district,
-      state: currentData.stateName,
-      lastUpdated: formatDate(currentData.updatedAt),
-      current: {
-        householdsWorked: currentData.householdsWorked,
-        activeWorkers: currentData.activeWorkers,
-        womenWorkers: currentData.womenWorkers,
-        // FIX: Ensure float values are explicitly rounded to 2 decimal places for consistency
-        avgDays: parseFloat(currentData.avgDaysProvided.toFixed(1)),
-        avgWage: parseFloat(currentData.avgWage.toFixed(2)),
-      },
-      comparison: {
-        lastMonth: {
-          previousValue: lastMonthHouseholds,
-          // FIX: Ensure change is rounded to 2 decimal places
-          change: parseFloat(lastMonthChange.toFixed(2))
-        },
-        lastYear: {
-          previousValue: lastYearHouseholds,
-          // FIX: Ensure change is rounded to 2 decimal places
-          change: parseFloat(lastYearChange.toFixed(2))
-        },
-        stateAvg: {
-          value: Math.round(stateAvgHouseholds),
-          avgDays: parseFloat(stateAvgDays.toFixed(1)),
-          avgWage: parseFloat(stateAvgWage.toFixed(2)),
-          position: stateComparisonHouseholds > 0 ? 'above' : 'below'
-        }
-      },
-      // Only returning the current data point for the historical chart
-      historical: historical.map(row => ({
-        month: formatMonth(row.dataMonth),
-        value: row.householdsWorked 
-      }))
-    };
+    }
 
     // Log API call
-    await ApiLog.create({
-      endpoint: '/api/district-data',
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent'),
-      requestParams: req.query,
-      responseStatus: 200,
-      responseTimeMs: Date.now() - startTime
-    });
+    logRequest(req, '/api/district-data', startTime, 200);
 
-    res.json(response);
+    // Express answers 304 itself when If-None-Match matches this ETag
+    res.set({ 'Cache-Control': DISTRICT_DATA_CACHE_CONTROL, 'ETag': cached.etag });
+    res.type('json').send(cached.json);
 
   } catch (error) {
     console.error('Error fetching district data:', error);
     
-    await ApiLog.create({
-      endpoint: '/api/district-data',
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent'),
-      requestParams: req.query,
-      responseStatus: 500,
-      responseTimeMs: Date.now() - startTime,
-      errorMessage: error.message
-    });
+    logRequest(req, '/api/district-data', startTime, 500, { errorMessage: error.message });
     
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message 
-    });
+    res.status(500).json({ error: apiMessage(req, 'api.internalError') });
   }
 });
-app.get('/api/states', async (req, res) => {
-    try {
-        const states = await District.aggregate([
-            {
-                $group: {
-                    _id: { code: '$stateCode', name: '$stateName' }
-                }
-            },
-            {
-                $project: {
-                    _id: 0,
-                    stateCode: '$_id.code',
-                    stateName: '$_id.name'
-                }
-            },
-            {
-                $sort: { stateName: 1 }
-            }
-        ]);
-        
-        // We only seeded MH, so we return the seeded data.
-        if (states.length === 0) {
-            // Fallback in case seeding fails completely
-            return res.json([{ stateCode: 'MH', stateName: 'महाराष्ट्र (Maharashtra)' }]);
-        }
-        res.json(states);
-    } catch (error) {
-        console.error('Error fetching states:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-app.get('/api/districts', async (req, res) => {
-    try {
-        const { state } = req.query;
-        
-        if (!state) {
-            return res.status(400).json({ error: 'State parameter is required' });
-        }
 
-        const districts = await District.find({ stateCode: state })
-            .select('districtName -_id')
-            .sort({ districtName: 1 });
+// Builds the /api/district-data payload (current metrics, comparisons, state average, history).
+// Returns null when the district has no Performance data.
+async function buildDistrictData(state, district) {
+  // --- 1. Get current month data (latest) ---
+  const currentData = await Performance.findOne({
+    stateCode: state,
+    districtName: district
+  }).sort({ dataMonth: -1 });
 
-        res.json(districts.map(d => d.districtName));
-    } catch (error) {
-        console.error('Error fetching districts:', error);
-        res.status(500).json({ error: 'Internal server error' });
+  if (!currentData) return null;
+
+  // --- Only current data exists, so comparisons will default to current data ---
+  const latestDataMonth = currentData.dataMonth;
+
+  // Last Month (Will likely be null, defaulting comparison value to currentData in final metrics)
+  const lastMonth = new Date(latestDataMonth);
+  lastMonth.setMonth(lastMonth.getMonth() - 1);
+  
+  const lastMonthData = await Performance.findOne({
+    stateCode: state,
+    districtName: district,
+    dataMonth: lastMonth
+  });
+
+  // Last Year (Will likely be null, defaulting comparison value to currentData in final metrics)
+  const lastYear = new Date(latestDataMonth);
+  lastYear.setFullYear(lastYear.getFullYear() - 1);
+  
+  const lastYearData = await Performance.findOne({
+    stateCode: state,
+    districtName: district,
+    dataMonth: lastYear
+  });
+
+  // State average
+  const stateAvgData = await getStateAverages(state, latestDataMonth);
+
+  // Historical data: the 12 months up to and including the latest month (gaps are null)
+  const historyFrom = new Date(latestDataMonth);
+  historyFrom.setMonth(historyFrom.getMonth() - 11);
+  const historical = await buildMonthlySeries(state, district, 'householdsWorked', historyFrom, latestDataMonth);
+
+
+  // Calculate final metrics (Handling null comparisons by using currentData)
+  const lastMonthHouseholds = lastMonthData ? lastMonthData.householdsWorked : currentData.householdsWorked;
+  const lastYearHouseholds = lastYearData ? lastYearData.householdsWorked : currentData.householdsWorked;
+  const stateAvgHouseholds = stateAvgData ? stateAvgData.avgHouseholds : currentData.householdsWorked;
+  const stateAvgDays = stateAvgData ? stateAvgData.avgAvgDays : currentData.avgDaysProvided;
+  const stateAvgWage = stateAvgData ? stateAvgData.avgAvgWage : currentData.avgWage;
+
+  // The logic below ensures that if no previous data exists, the change is 0 (or calculated against itself)
+  const lastMonthChange = lastMonthData ? ((currentData.householdsWorked - lastMonthHouseholds) / lastMonthHouseholds * 100) : 0;
+  const lastYearChange = lastYearData ? ((currentData.householdsWorked - lastYearHouseholds) / lastYearHouseholds * 100) : 0;
+  const stateComparisonHouseholds = currentData.householdsWorked - stateAvgHouseholds;
+
+
+  // Format response
+  const response = {
+    district: district,
+    state: getStateName(state),
+    lastUpdated: formatDate(currentData.updatedAt),
+    dataMonth: formatMonth(currentData.dataMonth),
+    // Same month as YYYY-MM, for clients that format it in their own language
+    month: monthKey(currentData.dataMonth),
+    dataSource: currentData.dataSource,
+    current: formatCurrentMetrics(currentData),
+    finance: buildFinanceMetrics(currentData, stateAvgData),
+    summary: buildDistrictSummary(currentData, lastMonthData, stateAvgData),
+    dataQuality: dataQualitySummary(currentData),
+    comparison: {
+      lastMonth: {
+        previousValue: lastMonthHouseholds,
+        // FIX: Ensure change is rounded to 2 decimal places
+        change: parseFloat(lastMonthChange.toFixed(2))
+      },
+      lastYear: {
+        previousValue: lastYearHouseholds,
+        // FIX: Ensure change is rounded to 2 decimal places
+        change: parseFloat(lastYearChange.toFixed(2))
+      },
+      stateAvg: {
+        value: Math.round(stateAvgHouseholds),
+        avgDays: parseFloat(stateAvgDays.toFixed(1)),
+        avgWage: parseFloat(stateAvgWage.toFixed(2)),
+        position: stateComparisonHouseholds > 0 ? 'above' : 'below'
+      }
+    },
+    historical: historical.map(point => ({
+      month: point.label,
+      value: point.value
+    }))
+  };
+
+  return response;
+}
+
+// --- Plain-Language Summary ---
+
+// Rounds to the units people say aloud: हज़ार/thousand, लाख/lakh, करोड़/crore
+function spokenNumber(value, locale) {
+  const units = [
+    { size: 1e7, key: 'summary.unit.crore' },
+    { size: 1e5, key: 'summary.unit.lakh' },
+    { size: 1e3, key: 'summary.unit.thousand' }
+  ];
+  const unit = units.find(u => value >= u.size);
+  if (!unit) return String(Math.round(value));
+
+  // "1.2 लाख" but "72 हज़ार": one decimal only while the number of units is small
+  const scaled = value / unit.size;
+  const rounded = scaled < 10 ? parseFloat(scaled.toFixed(1)) : Math.round(scaled);
+  return `${rounded} ${translate(locale, unit.key)}`;
+}
+
+// Two or three short sentences per locale about the latest month, for users who find the
+// figures hard to read. The dashboard also reads them aloud.
+function buildDistrictSummary(record, lastMonthRecord, stateAvgData) {
+  const households = record.householdsWorked;
+  const lastMonthChange = lastMonthRecord && lastMonthRecord.householdsWorked > 0
+    ? Math.round((households - lastMonthRecord.householdsWorked) / lastMonthRecord.householdsWorked * 100)
+    : null;
+
+  const summary = {};
+  LOCALES.forEach(locale => {
+    const month = record.dataMonth.toLocaleDateString(LOCALE_BUNDLES[locale].meta.dateLocale, { month: 'long', year: 'numeric' });
+    const families = spokenNumber(households, locale);
+    const sentences = [];
+
+    if (stateAvgData) {
+      const direction = translate(locale, households >= stateAvgData.avgHouseholds ? 'summary.above' : 'summary.below');
+      sentences.push(translate(locale, 'summary.withAverage', { month, families, direction }));
+    } else {
+      sentences.push(translate(locale, 'summary.withoutAverage', { month, families }));
     }
-});
 
-// --- Location Detection API with Robust Name Extraction ---
-app.get('/api/detect-location', async (req, res) => {
-    const startTime = Date.now();
+    if (lastMonthChange === 0) {
+      sentences.push(translate(locale, 'summary.sameAsLastMonth'));
+    } else if (lastMonthChange !== null) {
+      const direction = translate(locale, lastMonthChange > 0 ? 'summary.up' : 'summary.down');
+      sentences.push(translate(locale, 'summary.vsLastMonth', { percent: Math.abs(lastMonthChange), direction }));
+    }
+
+    sentences.push(translate(locale, 'summary.daysAndWage', {
+      days: Math.round(record.avgDaysProvided),
+      wage: Math.round(record.avgWage)
+    }));
+
+    summary[locale] = localizeDigits(sentences.join(' '), locale);
+  });
+  return summary;
+}
+
+// --- District Report Downloads ---
+// Noto Sans Devanagari covers both scripts, so the whole bilingual report uses one font.
+// Vendored under fonts/ (SIL Open Font License, see fonts/OFL.txt).
+const REPORT_FONT = path.join(__dirname, 'fonts', 'NotoSansDevanagari-Regular.ttf');
+const REPORT_FONT_BOLD = path.join(__dirname, 'fonts', 'NotoSansDevanagari-Bold.ttf');
+const REPORT_FORMATS = ['csv', 'json', 'pdf'];
+
+app.get('/api/district-report', async (req, res) => {
     try {
-        const { lat, lng } = req.query;
+        const { state, district, format = 'pdf' } = req.query;
 
-        if (!lat || !lng) {
+        if (!state || !district) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateDistrictRequired') });
+        }
+        if (!REPORT_FORMATS.includes(format)) {
             return res.status(400).json({ 
-                error: 'Latitude and longitude parameters are required' 
+                error: apiMessage(req, 'api.invalidFormat'),
+                allowed: REPORT_FORMATS
             });
         }
-        
-        // Using OpenStreetMap Nominatim for reverse geocoding
-        const response = await axios.get(
-            `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}`,
-            {
-                headers: {
-                    'User-Agent': 'MGNREGA-Tracker-Project/1.0 (Contact: your-email@example.com)'
-                },
-                timeout: 5000 
-            }
-        );
-
-        const address = response.data.address;
-        
-        // FIX: Robustly extract the most likely district/city name
-        // Prioritize: state_district (common in India) -> county -> city -> village
-        let detectedDistrictName = address.state_district || address.county || address.city || address.village;
-        let detectedStateName = address.state; // We only support MH, but grab the name anyway
 
-        if (!detectedDistrictName) {
-             // If we still can't find a name, return failure gracefully
-            return res.json({
-                detected: false,
-                detectedDistrictName: 'External Geocoding Failure', // Better message
-                message: 'External geocoding failed to identify the region name.'
-            });
+        const data = await buildDistrictData(state, district);
+        if (!data) {
+            return res.status(404).json({ error: apiMessage(req, 'api.noDistrictData') });
         }
-        
-        // --- NEW FUZZY MATCHING LOGIC ---
-        
-        // NORMALIZE THE DETECTED NAME (e.g., "Chhatrapati Sambhajinagar" -> "chhatrapatisambhajinagar")
-        const normalizedDetectedName = detectedDistrictName
-            .toLowerCase()
-            .replace(/[^a-z0-9]/g, ''); // Remove all non-alphanumeric chars
-        
-        // Find ALL districts in Maharashtra to iterate and manually match
-        const allDistricts = await District.find({ stateCode: 'MH' });
-        
-        let matchingDistrict = null;
-
-        for (const district of allDistricts) {
-            // NORMALIZE THE DB NAME (e.g., "छत्रपति संभाजीनगर (Chh. Sambhajinagar)" -> "chhsambhajinagar")
-            const normalizedDBName = district.districtName
-                .toLowerCase()
-                // Keep only English letters, numbers, and remove parentheses/symbols
-                .match(/\(([^)]+)\)/)?.[1] // Grab the content inside parentheses (English short form)
-                ?.replace(/[^a-z0-9]/g, ''); // Remove spaces/dots/etc.
-            
-            // Fallback: If no parentheses, just use the entire string and strip symbols
-            const fallbackDBName = district.districtName
-                .toLowerCase()
-                .replace(/[^a-z0-9]/g, '');
-
-            // Try matching the full normalized detected name against the English part of the DB name.
-            if (normalizedDBName && normalizedDetectedName.includes(normalizedDBName)) {
-                matchingDistrict = district;
-                break;
-            }
-            
-            // Try matching the normalized detected name against the full normalized DB name.
-            // This catches cases like "Pune" matching "pune"
-            if (normalizedDetectedName === fallbackDBName) {
-                 matchingDistrict = district;
-                break;
-            }
+
+        const report = { ...data, generatedAt: new Date().toISOString() };
+        const filename = `mgnrega-report-${state}-${normalizeName(englishPart(district)) || 'district'}`;
+
+        if (format === 'json') {
+            res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+            return res.json(report);
         }
-        
-        // --- END NEW FUZZY MATCHING LOGIC ---
 
-        if (matchingDistrict) {
-            res.json({
-                state: matchingDistrict.stateCode,
-                district: matchingDistrict.districtName,
-                detected: true
-            });
-            return;
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            // BOM so spreadsheet apps open the Devanagari text as UTF-8
+            return res.send('\uFEFF' + buildReportCsv(report));
         }
-        
-        // If we found a name but couldn't match it:
-        res.json({
-            detected: false,
-            detectedDistrictName: detectedDistrictName, // Return the full name found
-            message: `Location detected but could not map '${detectedDistrictName}' to a known district.`
-        });
 
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        writeReportPdf(report, res);
     } catch (error) {
-        console.error('Error detecting location:', error.message);
-        
-        await ApiLog.create({
-            endpoint: '/api/detect-location',
-            ipAddress: req.ip,
-            userAgent: req.get('user-agent'),
-            requestParams: req.query,
-            responseStatus: 500,
-            responseTimeMs: Date.now() - startTime,
-            errorMessage: error.message
-        });
-        
+        console.error('Error building district report:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+function csvEscape(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildReportCsv(report) {
+    const { current, comparison } = report;
+    const rows = [
+        ['section', 'metric', 'value'],
+        ['district', 'district', report.district],
+        ['district', 'state', report.state],
+        ['district', 'dataMonth', report.dataMonth],
+        ['current', 'householdsWorked', current.householdsWorked],
+        ['current', 'activeWorkers', current.activeWorkers],
+        ['current', 'womenWorkers', current.womenWorkers],
+        ['current', 'avgDays', current.avgDays],
+        ['current', 'avgWage', current.avgWage],
+        ['lastMonth', 'previousHouseholdsWorked', comparison.lastMonth.previousValue],
+        ['lastMonth', 'changePercent', comparison.lastMonth.change],
+        ['lastYear', 'previousHouseholdsWorked', comparison.lastYear.previousValue],
+        ['lastYear', 'changePercent', comparison.lastYear.change],
+        ['stateAvg', 'householdsWorked', comparison.stateAvg.value],
+        ['stateAvg', 'avgDays', comparison.stateAvg.avgDays],
+        ['stateAvg', 'avgWage', comparison.stateAvg.avgWage],
+        ['stateAvg', 'position', comparison.stateAvg.position],
+        ...report.historical.map(point => ['historical', point.month, point.value]),
+        ...report.dataQuality.flags.map(flag => ['dataQuality', flag.code, flag.message]),
+        ['provenance', 'dataSource', report.dataSource],
+        ['provenance', 'lastUpdated', report.lastUpdated],
+        ['provenance', 'generatedAt', report.generatedAt]
+    ];
+    return rows.map(row => row.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatReportNumber(value, decimals = 0) {
+    if (value === null || value === undefined) return '--';
+    return Number(value).toLocaleString('en-IN', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+function formatReportChange(change) {
+    if (!change) return 'N/A';
+    return `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
+// One-page bilingual A4 report, streamed straight into the response
+function writeReportPdf(report, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `MGNREGA District Report - ${report.district}` } });
+    doc.registerFont('regular', REPORT_FONT);
+    doc.registerFont('bold', REPORT_FONT_BOLD);
+    doc.pipe(stream);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const { current, comparison } = report;
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 90).fill('#ff6b35');
+    doc.fillColor('white').font('bold').fontSize(20).text('मनरेगा ज़िला रिपोर्ट | MGNREGA District Report', left, 22, { width });
+    doc.font('regular').fontSize(11).text('हमारी आवाज़, हमारे अधिकार | Our Voice, Our Rights', left, 56, { width });
+
+    doc.fillColor('#333').font('bold').fontSize(15).text(report.district, left, 110, { width });
+    doc.font('regular').fontSize(11).fillColor('#555')
+        .text(`राज्य | State: ${report.state}    महीना | Month: ${report.dataMonth}`, { width });
+
+    const section = title => {
+        doc.moveDown(1);
+        doc.font('bold').fontSize(13).fillColor('#1976d2').text(title, left, doc.y, { width });
+        doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).strokeColor('#bbdefb').stroke();
+        doc.moveDown(0.5);
+    };
+
+    const row = (label, value) => {
+        const y = doc.y;
+        doc.font('regular').fontSize(11).fillColor('#555').text(label, left, y, { width: width * 0.65 });
+        doc.font('bold').fillColor('#333').text(value, left + width * 0.65, y, { width: width * 0.35, align: 'right' });
+        doc.moveDown(0.3);
+    };
+
+    section('वर्तमान आंकड़े | Current Figures');
+    row('परिवारों ने काम किया | Households Worked', formatReportNumber(current.householdsWorked));
+    row('सक्रिय कामगार | Active Workers', formatReportNumber(current.activeWorkers));
+    row('महिला कामगार | Women Workers', formatReportNumber(current.womenWorkers));
+    row('औसत रोज़गार दिवस | Average Days per Household', formatReportNumber(current.avgDays, 1));
+    row('औसत दैनिक मज़दूरी | Average Daily Wage', `₹${formatReportNumber(current.avgWage, 2)}`);
+
+    section('तुलना | Comparison (परिवार | Households Worked)');
+    row('पिछला महीना | Last Month', `${formatReportNumber(comparison.lastMonth.previousValue)}  (${formatReportChange(comparison.lastMonth.change)})`);
+    row('पिछला साल | Last Year', `${formatReportNumber(comparison.lastYear.previousValue)}  (${formatReportChange(comparison.lastYear.change)})`);
+
+    section('राज्य औसत | State Average');
+    row('परिवारों ने काम किया | Households Worked', formatReportNumber(comparison.stateAvg.value));
+    row('औसत रोज़गार दिवस | Average Days', formatReportNumber(comparison.stateAvg.avgDays, 1));
+    row('औसत दैनिक मज़दूरी | Average Daily Wage', `₹${formatReportNumber(comparison.stateAvg.avgWage, 2)}`);
+    row('आपका ज़िला | Your District', comparison.stateAvg.position === 'above'
+        ? 'राज्य औसत से ऊपर | Above State Average'
+        : 'राज्य औसत से नीचे | Below State Average');
+
+    if (report.dataQuality.flagged) {
+        section('डेटा चेतावनी | Data Quality Warnings');
+        doc.font('regular').fontSize(10).fillColor('#8d6e00');
+        report.dataQuality.flags.forEach(flag => doc.text(`• ${qualityFlagText(flag, 'hi')} | ${qualityFlagText(flag, 'en')}`, left, doc.y, { width }));
+    }
+
+    // Provenance footer
+    const footerY = doc.page.height - doc.page.margins.bottom - 45;
+    doc.moveTo(left, footerY).lineTo(left + width, footerY).strokeColor('#ddd').stroke();
+    doc.font('regular').fontSize(9).fillColor('#888')
+        .text(`स्रोत | Source: ${report.dataSource}`, left, footerY + 6, { width })
+        .text(`डेटा अद्यतन | Data updated: ${report.lastUpdated}    रिपोर्ट बनी | Generated: ${formatDate(report.generatedAt)}`, { width });
+
+    doc.end();
+}
+
+// --- Embeddable Widget and Badge ---
+// For partner Gram Panchayat and NGO sites:
+//   <iframe src="/embed/district?state=MH&district=...&lang=mr&theme=dark">, or
+//   <script src="/embed/widget.js" data-state="MH" data-district="..." data-lang="mr"></script>
+//   <img src="/embed/badge.svg?state=MH&district=...&metric=avgDaysProvided">
+// Both render the /api/district-data payload (through its response cache) in one language.
+
+const EMBED_THEMES = {
+    light: { background: '#ffffff', text: '#333333', muted: '#666666', border: '#eeeeee', badgeLabel: '#555555' },
+    dark: { background: '#1e1e1e', text: '#f5f5f5', muted: '#bbbbbb', border: '#333333', badgeLabel: '#333333' }
+};
+const EMBED_POSITION_COLORS = { above: '#4caf50', below: '#f44336' };
+const EMBED_DEFAULT_METRICS = ['householdsWorked', 'avgDaysProvided', 'avgWage'];
+
+// Value and state figure per metric, read from the district-data payload
+const EMBED_METRICS = {
+    householdsWorked: {
+        value: data => data.current.householdsWorked,
+        stateValue: data => data.comparison.stateAvg.value,
+        format: value => Math.round(value).toLocaleString('en-IN')
+    },
+    avgDaysProvided: {
+        value: data => data.current.avgDays,
+        stateValue: data => data.comparison.stateAvg.avgDays,
+        format: value => value.toFixed(1)
+    },
+    avgWage: {
+        value: data => data.current.avgWage,
+        stateValue: data => data.comparison.stateAvg.avgWage,
+        format: value => `₹${Math.round(value)}`
+    },
+    totalExpenditure: {
+        value: data => data.finance.totalExpenditure.value,
+        stateValue: data => data.finance.totalExpenditure.stateAvg,
+        format: (value, locale) => `₹${spokenNumber(value, locale)}`
+    }
+};
+
+// Escapes text for HTML and SVG markup
+function escapeMarkup(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Validates state, district, theme and (for the badge) metric. Returns the parsed query, or
+// { error } with the message key to show in the placeholder.
+function parseEmbedQuery(req, { metricList }) {
+    const { state, district, theme = 'light', metrics: metricsParam, metric = 'householdsWorked' } = req.query;
+    if (typeof state !== 'string' || typeof district !== 'string' || !state || !district) {
+        return { error: 'api.stateDistrictRequired' };
+    }
+    if (typeof theme !== 'string' || !Object.hasOwn(EMBED_THEMES, theme)) {
+        return { error: 'api.invalidTheme' };
+    }
+
+    const metrics = metricList
+        ? (metricsParam ? String(metricsParam).split(',').map(name => name.trim()) : EMBED_DEFAULT_METRICS)
+        : [metric];
+    if (metrics.length === 0 || metrics.some(name => typeof name !== 'string' || !Object.hasOwn(EMBED_METRICS, name))) {
+        return { error: 'api.invalidMetric', theme };
+    }
+
+    return { stateCode: state, districtParam: district, theme, metrics, locale: requestLocale(req) };
+}
+
+// Partners may write the district the way they know it ("Aurangabad"); an exact hit on an
+// alias or former name resolves to the current district. Returns null without data.
+async function loadEmbedDistrict(stateCode, districtParam) {
+    let district = await District.findOne({ stateCode, districtName: districtParam, retired: { $ne: true } }).lean();
+    if (!district) {
+        const [best] = await searchDistricts(districtParam, { stateCode, limit: 1 });
+        district = best && best.score === 100 ? best.district : null;
+    }
+    if (!district) return null;
+
+    const cached = await loadCachedDistrictData(district);
+    if (!cached) return null;
+    return { district, data: JSON.parse(cached.json) };
+}
+
+// Text of one metric in the requested language; position is null without a state figure
+function embedMetric(data, metric, locale) {
+    const definition = EMBED_METRICS[metric];
+    const value = definition.value(data);
+    const stateValue = definition.stateValue(data);
+    const hasState = value !== null && stateValue !== null && stateValue !== undefined;
+    const position = hasState ? (value > stateValue ? 'above' : 'below') : null;
+    return {
+        label: translate(locale, `embed.metric.${metric}`),
+        value: value === null ? '--' : localizeDigits(definition.format(value, locale), locale),
+        position,
+        comparison: position ? translate(locale, `embed.${position}`) : '',
+        stateValue: hasState ? translate(locale, 'embed.stateValue', { value: localizeDigits(definition.format(stateValue, locale), locale) }) : ''
+    };
+}
+
+function embedMonthLabel(data, locale) {
+    const month = parseMonthParam(data.month);
+    return month ? localizeDigits(month.toLocaleDateString(LOCALE_BUNDLES[locale].meta.dateLocale, { month: 'long', year: 'numeric' }), locale) : data.dataMonth;
+}
+
+// Cacheable like /api/district-data (failures are not), and loadable from pages that require CORP
+function setEmbedHeaders(res, cacheControl = DISTRICT_DATA_CACHE_CONTROL) {
+    res.set({
+        'Cache-Control': cacheControl,
+        'Cross-Origin-Resource-Policy': 'cross-origin',
+        'Vary': 'Accept-Language'
+    });
+}
+
+function renderEmbedCard({ locale, theme, districtLabel, stateLabel, monthLabel, metrics, dashboardUrl }) {
+    const colors = EMBED_THEMES[theme];
+    const bundle = LOCALE_BUNDLES[locale];
+    const rows = metrics.map(metric => `
+    <div class="metric">
+      <div class="label">${escapeMarkup(metric.label)}</div>
+      <div class="value">${escapeMarkup(metric.value)}</div>
+      <div class="compare ${metric.position || ''}">${escapeMarkup([metric.comparison, metric.stateValue].filter(Boolean).join(' · '))}</div>
+    </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeMarkup(bundle.meta.htmlLang || locale)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeMarkup(`${districtLabel} - ${translate(locale, 'embed.title')}`)}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: ${colors.background}; color: ${colors.text}; }
+    .card { border: 1px solid ${colors.border}; border-top: 4px solid #ff6b35; border-radius: 12px; padding: 1rem; }
+    .district { font-size: 1.2rem; font-weight: bold; }
+    .meta { font-size: 0.8rem; color: ${colors.muted}; margin-bottom: 0.75rem; }
+    .metric { padding: 0.5rem 0; border-top: 1px solid ${colors.border}; }
+    .label { font-size: 0.85rem; color: ${colors.muted}; }
+    .value { font-size: 1.4rem; font-weight: bold; }
+    .compare { font-size: 0.8rem; color: ${colors.muted}; }
+    .compare.above { color: ${EMBED_POSITION_COLORS.above}; }
+    .compare.below { color: ${EMBED_POSITION_COLORS.below}; }
+    .footer { display: block; margin-top: 0.5rem; font-size: 0.8rem; color: #ff6b35; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <div class="district">${escapeMarkup(districtLabel)}</div>
+    <div class="meta">${escapeMarkup(`${stateLabel} · ${monthLabel}`)}</div>${rows}
+    <a class="footer" href="${escapeMarkup(dashboardUrl)}" target="_blank" rel="noopener">${escapeMarkup(`${translate(locale, 'embed.title')} · ${translate(locale, 'embed.viewDashboard')}`)}</a>
+  </div>
+  <script>
+    // Lets /embed/widget.js size the iframe to the card
+    parent.postMessage({ type: 'mgnrega-embed-height', height: document.documentElement.scrollHeight }, '*');
+  </script>
+</body>
+</html>
+`;
+}
+
+// Rough rendered width of 11px text: combining marks (matras, anusvara) take no space of their own
+function badgeTextWidth(text) {
+    return Math.ceil(String(text).replace(/\p{M}/gu, '').length * 7) + 12;
+}
+
+function renderBadge({ theme, label, value, color, title }) {
+    const labelWidth = badgeTextWidth(label);
+    const valueWidth = badgeTextWidth(value);
+    const width = labelWidth + valueWidth;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeMarkup(title)}">
+  <title>${escapeMarkup(title)}</title>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="${EMBED_THEMES[theme].badgeLabel}"/>
+    <rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${color}"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,'DejaVu Sans','Noto Sans Devanagari',sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="14">${escapeMarkup(label)}</text>
+    <text x="${labelWidth + valueWidth / 2}" y="14">${escapeMarkup(value)}</text>
+  </g>
+</svg>
+`;
+}
+
+// Failures still answer with what the <iframe> (a page) or <img> (an image) can show, uncached
+function sendEmbedError(req, res, { status, badge, theme = 'light', message }) {
+    setEmbedHeaders(res, 'no-store');
+    if (badge) {
+        const label = translate(requestLocale(req), 'embed.title');
+        return res.status(status).type('image/svg+xml').send(renderBadge({ theme, label, value: message, color: '#9e9e9e', title: message }));
+    }
+    res.status(status).type('html').send(`<!DOCTYPE html><meta charset="UTF-8"><p style="font-family:sans-serif">${escapeMarkup(message)}</p>`);
+}
+
+app.get('/embed/district', async (req, res) => {
+    try {
+        const query = parseEmbedQuery(req, { metricList: true });
+        if (query.error) {
+            return sendEmbedError(req, res, { status: 400, theme: query.theme, message: apiMessage(req, query.error) });
+        }
+        const { stateCode, districtParam, theme, metrics, locale } = query;
+
+        const embed = await loadEmbedDistrict(stateCode, districtParam);
+        if (!embed) {
+            return sendEmbedError(req, res, { status: 404, theme, message: translate(locale, 'embed.noData') });
+        }
+
+        const { district, data } = embed;
+        const dashboardUrl = `${PUBLIC_BASE_URL}/?state=${encodeURIComponent(stateCode)}&district=${encodeURIComponent(district.districtName)}`;
+        setEmbedHeaders(res);
+        res.type('html').send(renderEmbedCard({
+            locale,
+            theme,
+            districtLabel: districtLocalNames(district)[locale],
+            stateLabel: stateLocalNames(stateCode)[locale],
+            monthLabel: embedMonthLabel(data, locale),
+            metrics: metrics.map(metric => embedMetric(data, metric, locale)),
+            dashboardUrl
+        }));
+    } catch (error) {
+        console.error('Error rendering embed widget:', error);
+        sendEmbedError(req, res, { status: 500, message: apiMessage(req, 'api.internalError') });
+    }
+});
+
+app.get('/embed/badge.svg', async (req, res) => {
+    try {
+        const query = parseEmbedQuery(req, { metricList: false });
+        if (query.error) {
+            return sendEmbedError(req, res, { status: 400, badge: true, theme: query.theme, message: apiMessage(req, query.error) });
+        }
+        const { stateCode, districtParam, theme, metrics: [metric], locale } = query;
+
+        const embed = await loadEmbedDistrict(stateCode, districtParam);
+        if (!embed) {
+            return sendEmbedError(req, res, { status: 404, badge: true, theme, message: translate(locale, 'embed.noData') });
+        }
+
+        const { district, data } = embed;
+        const figure = embedMetric(data, metric, locale);
+        const districtLabel = districtLocalNames(district)[locale];
+        setEmbedHeaders(res);
+        res.type('image/svg+xml').send(renderBadge({
+            theme,
+            label: `${districtLabel} · ${figure.label}`,
+            value: figure.position ? `${figure.value} ${figure.position === 'above' ? '▲' : '▼'}` : figure.value,
+            color: figure.position ? EMBED_POSITION_COLORS[figure.position] : '#9e9e9e',
+            title: [`${districtLabel}, ${embedMonthLabel(data, locale)}: ${figure.label} ${figure.value}`, figure.comparison, figure.stateValue].filter(Boolean).join(' · ')
+        }));
+    } catch (error) {
+        console.error('Error rendering embed badge:', error);
+        sendEmbedError(req, res, { status: 500, badge: true, message: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// --- Historical Time-Series API ---
+app.get('/api/district-history', async (req, res) => {
+    try {
+        const { state, district, metric = 'householdsWorked', from, to } = req.query;
+
+        if (!state || !district) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateDistrictRequired') });
+        }
+        if (!HISTORY_METRICS.includes(metric)) {
+            return res.status(400).json({ 
+                error: apiMessage(req, 'api.invalidMetric'),
+                allowed: HISTORY_METRICS
+            });
+        }
+
+        const fromDate = from ? parseMonthParam(from) : null;
+        const toDateParam = to ? parseMonthParam(to) : null;
+        if ((from && !fromDate) || (to && !toDateParam)) {
+            return res.status(400).json({ error: apiMessage(req, 'api.fromToFormat') });
+        }
+
+        // Default the window to the 24 months ending at the latest available month
+        const monthWindow = await resolveMonthWindow(state, district, fromDate, toDateParam, DEFAULT_HISTORY_MONTHS);
+        if (!monthWindow) {
+            return res.status(404).json({ error: apiMessage(req, 'api.noDistrictData') });
+        }
+        const { startDate, toDate } = monthWindow;
+
+        if (startDate > toDate) {
+            return res.status(400).json({ error: apiMessage(req, 'api.fromAfterTo') });
+        }
+        if (monthsBetween(startDate, toDate) >= MAX_HISTORY_MONTHS) {
+            return res.status(400).json({ error: apiMessage(req, 'api.rangeTooLong', { max: MAX_HISTORY_MONTHS }) });
+        }
+
+        const series = await buildMonthlySeries(state, district, metric, startDate, toDate);
+
+        res.json({
+            state,
+            district,
+            metric,
+            from: monthKey(startDate),
+            to: monthKey(toDate),
+            series
+        });
+    } catch (error) {
+        console.error('Error fetching district history:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// --- District Rankings API ---
+app.get('/api/rankings', async (req, res) => {
+    try {
+        const { state, metric = 'householdsWorked', month } = req.query;
+
+        if (!state) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateRequired') });
+        }
+        if (!HISTORY_METRICS.includes(metric)) {
+            return res.status(400).json({ 
+                error: apiMessage(req, 'api.invalidMetric'),
+                allowed: HISTORY_METRICS
+            });
+        }
+
+        let dataMonth = month ? parseMonthParam(month) : null;
+        if (month && !dataMonth) {
+            return res.status(400).json({ error: apiMessage(req, 'api.monthFormat') });
+        }
+
+        // Default to the latest month with data in this state
+        if (!dataMonth) {
+            const latest = await Performance.findOne({ stateCode: state })
+                .sort({ dataMonth: -1 })
+                .select('dataMonth');
+            if (!latest) {
+                return res.status(404).json({ error: apiMessage(req, 'api.noStateData') });
+            }
+            dataMonth = latest.dataMonth;
+        }
+
+        const rankings = await buildRankings(state, metric, dataMonth);
+        if (!rankings) {
+            return res.status(404).json({ error: apiMessage(req, 'api.noMonthData') });
+        }
+
+        res.json({ state, metric, ...rankings });
+    } catch (error) {
+        console.error('Error fetching rankings:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// --- Social Inclusion API ---
+// Women, SC and ST workers as a share of active workers, month by month, with the same
+// shares for the whole state (taken over state totals) for comparison.
+
+// The Act (Schedule II) requires at least one-third of beneficiaries to be women
+const WOMEN_STATUTORY_SHARE = 100 / 3;
+const INCLUSION_GROUPS = { women: 'womenWorkers', sc: 'scWorkers', st: 'stWorkers' };
+const DEFAULT_INCLUSION_MONTHS = 12;
+
+// Each group's percentage of active workers, or null when nobody worked
+function inclusionShares(counts) {
+    const shares = {};
+    Object.entries(INCLUSION_GROUPS).forEach(([group, field]) => {
+        shares[group] = counts && counts.activeWorkers > 0
+            ? parseFloat((counts[field] / counts.activeWorkers * 100).toFixed(1))
+            : null;
+    });
+    return shares;
+}
+
+// Inclusion shares for every month of the window, and the latest month with district data
+// against the state
+async function buildInclusion(state, district, startDate, toDate) {
+    const monthRange = { $gte: startDate, $lte: toDate };
+    const [districtRows, stateRows] = await Promise.all([
+        Performance.find({ stateCode: state, districtName: district, dataMonth: monthRange })
+            .select('dataMonth activeWorkers womenWorkers scWorkers stWorkers')
+            .lean(),
+        Performance.aggregate([
+            { $match: { stateCode: state, dataMonth: monthRange } },
+            {
+                $group: {
+                    _id: '$dataMonth',
+                    activeWorkers: { $sum: '$activeWorkers' },
+                    womenWorkers: { $sum: '$womenWorkers' },
+                    scWorkers: { $sum: '$scWorkers' },
+                    stWorkers: { $sum: '$stWorkers' }
+                }
+            }
+        ])
+    ]);
+
+    const districtByMonth = new Map(districtRows.map(row => [monthKey(row.dataMonth), row]));
+    const stateByMonth = new Map(stateRows.map(row => [monthKey(row._id), row]));
+
+    const trend = [];
+    for (let cursor = new Date(startDate); cursor <= toDate; cursor.setMonth(cursor.getMonth() + 1)) {
+        const key = monthKey(cursor);
+        const record = districtByMonth.get(key) || null;
+        const shares = inclusionShares(record);
+        trend.push({
+            month: key,
+            label: formatMonth(cursor),
+            activeWorkers: record ? record.activeWorkers : null,
+            shares,
+            stateShares: inclusionShares(stateByMonth.get(key)),
+            womenBelowThreshold: shares.women !== null && shares.women < WOMEN_STATUTORY_SHARE,
+            gap: record === null
+        });
+    }
+
+    // Latest month in the window with district data
+    const latest = [...trend].reverse().find(point => !point.gap) || null;
+    let current = null;
+    if (latest) {
+        const record = districtByMonth.get(latest.month);
+        const groups = {};
+        Object.entries(INCLUSION_GROUPS).forEach(([group, field]) => {
+            const share = latest.shares[group];
+            const stateShare = latest.stateShares[group];
+            groups[group] = {
+                workers: record[field],
+                share,
+                stateShare,
+                position: share === null || stateShare === null ? null : (share > stateShare ? 'above' : 'below')
+            };
+        });
+        current = {
+            month: latest.month,
+            label: latest.label,
+            activeWorkers: latest.activeWorkers,
+            groups,
+            womenBelowThreshold: latest.womenBelowThreshold
+        };
+    }
+
+    return {
+        state,
+        district,
+        from: monthKey(startDate),
+        to: monthKey(toDate),
+        womenThreshold: parseFloat(WOMEN_STATUTORY_SHARE.toFixed(1)),
+        current,
+        trend
+    };
+}
+
+app.get('/api/inclusion', async (req, res) => {
+    try {
+        const { state, district, from, to } = req.query;
+
+        if (!state || !district) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateDistrictRequired') });
+        }
+
+        const fromDate = from ? parseMonthParam(from) : null;
+        const toDateParam = to ? parseMonthParam(to) : null;
+        if ((from && !fromDate) || (to && !toDateParam)) {
+            return res.status(400).json({ error: apiMessage(req, 'api.fromToFormat') });
+        }
+
+        // Default the window to the 12 months ending at the latest available month
+        const monthWindow = await resolveMonthWindow(state, district, fromDate, toDateParam, DEFAULT_INCLUSION_MONTHS);
+        if (!monthWindow) {
+            return res.status(404).json({ error: apiMessage(req, 'api.noDistrictData') });
+        }
+        const { startDate, toDate } = monthWindow;
+
+        if (startDate > toDate) {
+            return res.status(400).json({ error: apiMessage(req, 'api.fromAfterTo') });
+        }
+        if (monthsBetween(startDate, toDate) >= MAX_HISTORY_MONTHS) {
+            return res.status(400).json({ error: apiMessage(req, 'api.rangeTooLong', { max: MAX_HISTORY_MONTHS }) });
+        }
+
+        res.json(await buildInclusion(state, district, startDate, toDate));
+    } catch (error) {
+        console.error('Error fetching inclusion data:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// --- Multi-District Comparison API ---
+const MIN_COMPARE_DISTRICTS = 2;
+const MAX_COMPARE_DISTRICTS = 4;
+
+app.get('/api/compare', async (req, res) => {
+    try {
+        const { state } = req.query;
+        // Accept both ?districts=A,B and ?districts=A&districts=B
+        const districtParam = [].concat(req.query.districts || []).join(',');
+        const districts = [...new Set(districtParam.split(',').map(name => name.trim()).filter(Boolean))];
+
+        if (!state || districts.length === 0) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateDistrictsRequired') });
+        }
+        if (districts.length < MIN_COMPARE_DISTRICTS || districts.length > MAX_COMPARE_DISTRICTS) {
+            return res.status(400).json({ 
+                error: apiMessage(req, 'api.compareCount', { min: MIN_COMPARE_DISTRICTS, max: MAX_COMPARE_DISTRICTS })
+            });
+        }
+
+        // Latest record for each district
+        const records = await Promise.all(districts.map(district =>
+            Performance.findOne({ stateCode: state, districtName: district }).sort({ dataMonth: -1 })
+        ));
+
+        const missing = districts.filter((district, index) => !records[index]);
+        if (missing.length > 0) {
+            return res.status(404).json({ 
+                error: apiMessage(req, 'api.noDataSomeDistricts'),
+                missing
+            });
+        }
+
+        // Compare against the state average for the most recent month among the selection
+        const latestDataMonth = new Date(Math.max(...records.map(record => record.dataMonth.getTime())));
+        const stateAvgData = await getStateAverages(state, latestDataMonth);
+
+        res.json({
+            state: getStateName(state),
+            month: formatMonth(latestDataMonth),
+            districts: records.map(record => ({
+                district: record.districtName,
+                month: formatMonth(record.dataMonth),
+                lastUpdated: formatDate(record.updatedAt),
+                current: formatCurrentMetrics(record)
+            })),
+            stateAvg: stateAvgData ? {
+                householdsWorked: Math.round(stateAvgData.avgHouseholds),
+                activeWorkers: Math.round(stateAvgData.avgActiveWorkers),
+                womenWorkers: Math.round(stateAvgData.avgWomenWorkers),
+                avgDays: parseFloat(stateAvgData.avgAvgDays.toFixed(1)),
+                avgWage: parseFloat(stateAvgData.avgAvgWage.toFixed(2))
+            } : null
+        });
+    } catch (error) {
+        console.error('Error comparing districts:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// Every seeded state with its display names, sorted by name
+async function listStates() {
+    const states = await District.aggregate([
+        {
+            $group: {
+                _id: { code: '$stateCode', name: '$stateName' }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                stateCode: '$_id.code',
+                stateName: '$_id.name'
+            }
+        },
+        {
+            $sort: { stateName: 1 }
+        }
+    ]);
+    
+    if (states.length === 0) {
+        // Fallback in case seeding fails completely: list the seeded states from the bundled registry
+        return INDIA_REGISTRY.states
+            .filter(state => SEED_STATES.includes(state.stateCode))
+            .map(state => ({ stateCode: state.stateCode, stateName: registryStateName(state), names: registryLocalNames(state) }))
+            .sort((a, b) => a.stateName.localeCompare(b.stateName));
+    }
+    return states.map(state => ({ ...state, names: stateLocalNames(state.stateCode, state.stateName) }));
+}
+
+app.get('/api/states', async (req, res) => {
+    try {
+        res.json(await listStates());
+    } catch (error) {
+        console.error('Error fetching states:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+app.get('/api/districts', async (req, res) => {
+    try {
+        const { state } = req.query;
+        
+        if (!state) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateRequired') });
+        }
+
+        const districts = await District.find({ stateCode: state, retired: { $ne: true } })
+            .select('districtName -_id')
+            .sort({ districtName: 1 });
+
+        res.json(districts.map(d => d.districtName));
+    } catch (error) {
+        console.error('Error fetching districts:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// Display names per locale, keyed by the canonical district name that the other endpoints use
+app.get('/api/district-names', async (req, res) => {
+    try {
+        const { state } = req.query;
+
+        if (!state) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateRequired') });
+        }
+
+        const districts = await District.find({ stateCode: state, retired: { $ne: true } })
+            .select('districtName localNames -_id');
+
+        res.json(Object.fromEntries(districts.map(d => [d.districtName, districtLocalNames(d)])));
+    } catch (error) {
+        console.error('Error fetching district names:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// --- District Search ---
+// Autocomplete over current names, registry/admin aliases and former names. Every name is
+// reduced to a folded Latin key: Devanagari is transliterated and spelling variants that
+// differ between sources (sh/s, w/v, ee/i, doubled letters, ...) are collapsed, so
+// "औरंगाबाद", "Aurangabad" and "Aurangabaad" share a key.
+
+const DEFAULT_SEARCH_RESULTS = 8;
+const MAX_SEARCH_RESULTS = 20;
+// Search keys are precomputed for all current districts and kept in memory. Admin edits and
+// seeding in this process drop them at once; changes made by CLI imports show up after this TTL.
+const DISTRICT_SEARCH_INDEX_TTL_MS = 10 * 60 * 1000;
+// Location matching accepts at most one typo in the geocoder's district name
+const LOCATION_MATCH_MIN_SCORE = 50;
+
+const DEVANAGARI_VOWELS = { 'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o' };
+const DEVANAGARI_MATRAS = { 'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri', 'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o' };
+const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+// With a nukta ड़/ढ़ are spoken as r/rh and ज़/फ़ as z/f; others keep their sound
+const DEVANAGARI_NUKTA_SOUNDS = { 'ड': 'r', 'ढ': 'rh', 'ज': 'z', 'फ': 'f' };
+const DEVANAGARI_NUKTA = '़';
+const DEVANAGARI_VIRAMA = '्';
+
+function isDevanagari(char) {
+    return char >= 'ऀ' && char <= 'ॿ';
+}
+
+// Rough phonetic transliteration. The inherent vowel is written except at the end of a
+// word (अहमदनगर -> "ahamadanagar"); the consonant skeleton below absorbs the difference.
+function transliterateDevanagari(text) {
+    const chars = [...String(text || '').normalize('NFC')];
+    let out = '';
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        if (DEVANAGARI_CONSONANTS[char]) {
+            let sound = DEVANAGARI_CONSONANTS[char];
+            if (chars[i + 1] === DEVANAGARI_NUKTA) {
+                sound = DEVANAGARI_NUKTA_SOUNDS[char] || sound;
+                i++;
+            }
+            const next = chars[i + 1];
+            out += sound;
+            if (next === DEVANAGARI_VIRAMA) {
+                i++;
+            } else if (DEVANAGARI_MATRAS[next]) {
+                out += DEVANAGARI_MATRAS[next];
+                i++;
+            } else if (next && isDevanagari(next)) {
+                out += 'a';
+            }
+        } else if (DEVANAGARI_VOWELS[char]) {
+            out += DEVANAGARI_VOWELS[char];
+        } else if (char === 'ं' || char === 'ँ') {
+            out += 'n';
+        } else if (char === 'ः') {
+            out += 'h';
+        } else if (char >= '०' && char <= '९') {
+            out += String(char.charCodeAt(0) - '०'.charCodeAt(0));
+        } else if (!isDevanagari(char)) {
+            out += char;
+        }
+    }
+    return out;
+}
+
+// Folded Latin key of a name in either script, e.g. "छत्रपति संभाजीनगर" -> "catrapatisanbajinagar"
+function searchKey(name) {
+    return transliterateDevanagari(name).toLowerCase()
+        .replace(/[^a-z0-9]/g, '')
+        .replace(/m(?=[bp])/g, 'n')
+        .replace(/([kgcjtdpbsr])h+/g, '$1')
+        .replace(/ee/g, 'i')
+        .replace(/oo/g, 'u')
+        .replace(/y/g, 'i')
+        .replace(/w/g, 'v')
+        .replace(/z/g, 'j')
+        .replace(/f/g, 'p')
+        .replace(/q/g, 'k')
+        .replace(/(.)\1+/g, '$1');
+}
+
+// Consonants only: "ahmednagar" and the transliterated "ahamadanagar" both become "hmdngr"
+function consonantSkeleton(key) {
+    return key.replace(/[aeiou]/g, '');
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 100 exact, 90 prefix, 75 contained, 65 contains the name (geocoder suffixes such as
+// "Aurangabad District"), 60/55 same consonants, 50/40 for one or two typos; 0 is no match.
+function nameMatchScore(queryKey, nameKey) {
+    if (!queryKey || !nameKey) return 0;
+    if (nameKey === queryKey) return 100;
+    if (nameKey.startsWith(queryKey)) return 90;
+    if (nameKey.includes(queryKey)) return 75;
+    if (nameKey.length >= 4 && queryKey.includes(nameKey)) return 65;
+
+    const querySkeleton = consonantSkeleton(queryKey);
+    const nameSkeleton = consonantSkeleton(nameKey);
+    if (querySkeleton.length >= 3) {
+        if (nameSkeleton === querySkeleton) return 60;
+        if (nameSkeleton.startsWith(querySkeleton)) return 55;
+    }
+
+    // Typos count against the whole name or, while the user is still typing, its start
+    const allowed = queryKey.length < 4 ? 0 : queryKey.length <= 6 ? 1 : 2;
+    const distance = Math.min(editDistance(queryKey, nameKey), editDistance(queryKey, nameKey.slice(0, queryKey.length)));
+    return distance <= allowed && distance > 0 ? 60 - distance * 10 : 0;
+}
+
+// Every name a district can be found by; "हिन्दी (English)" names count as both parts
+function districtSearchNames(district) {
+    const names = districtLocalNames(district);
+    const entries = [
+        ...[district.districtName, names.hi, names.en, names.mr].map(name => ({ name, matchType: 'name' })),
+        ...(district.aliases || []).map(name => ({ name, matchType: 'alias' })),
+        ...(district.formerNames || []).map(name => ({ name, matchType: 'formerName' }))
+    ];
+    return entries.flatMap(entry => {
+        const match = String(entry.name || '').match(/^(.*?)\s*\(([^)]+)\)$/);
+        const parts = match ? [match[1], match[2]] : [entry.name];
+        return parts.map(part => ({ ...entry, key: searchKey(part) }));
+    });
+}
+
+// { expiresAt, entries: Promise<[{ district, names }]> }. The promise is stored so concurrent
+// searches share one load, and an invalidation during a load is not overwritten by its result.
+let districtSearchIndex = null;
+
+function invalidateDistrictSearchIndex() {
+    districtSearchIndex = null;
+}
+
+function loadDistrictSearchIndex() {
+    if (!districtSearchIndex || districtSearchIndex.expiresAt <= Date.now()) {
+        const index = {
+            expiresAt: Date.now() + DISTRICT_SEARCH_INDEX_TTL_MS,
+            entries: District.find({ retired: { $ne: true } }).lean()
+                .then(districts => districts.map(district => ({ district, names: districtSearchNames(district) })))
+        };
+        // A failed load is retried by the next search instead of being cached
+        index.entries.catch(() => {
+            if (districtSearchIndex === index) districtSearchIndex = null;
+        });
+        districtSearchIndex = index;
+    }
+    return districtSearchIndex.entries;
+}
+
+// Best-ranked current districts for a query, optionally within one state. Ties prefer the
+// current name over an alias or former name, then alphabetical order. The returned district
+// objects are shared with the search index and must not be modified.
+async function searchDistricts(query, { stateCode, limit = DEFAULT_SEARCH_RESULTS } = {}) {
+    const queryKey = searchKey(query);
+    if (!queryKey) return [];
+
+    const index = await loadDistrictSearchIndex();
+    const typeOrder = ['name', 'alias', 'formerName'];
+
+    return index
+        .filter(({ district }) => !stateCode || district.stateCode === stateCode)
+        .map(({ district, names }) => {
+            const best = names
+                .map(entry => ({ ...entry, score: nameMatchScore(queryKey, entry.key) }))
+                .sort((a, b) => b.score - a.score || typeOrder.indexOf(a.matchType) - typeOrder.indexOf(b.matchType))[0];
+            return { district, ...best };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score ||
+            typeOrder.indexOf(a.matchType) - typeOrder.indexOf(b.matchType) ||
+            a.district.districtName.localeCompare(b.district.districtName))
+        .slice(0, limit);
+}
+
+// Old-name queries resolve to the current district; formerName says what it used to be called
+app.get('/api/districts/search', async (req, res) => {
+    try {
+        const { q, state } = req.query;
+
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({ error: apiMessage(req, 'api.searchQueryRequired') });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_RESULTS, 1), MAX_SEARCH_RESULTS);
+        const results = await searchDistricts(q.trim(), { stateCode: state || undefined, limit });
+
+        res.json(results.map(result => ({
+            stateCode: result.district.stateCode,
+            stateName: result.district.stateName,
+            districtName: result.district.districtName,
+            names: districtLocalNames(result.district),
+            matchedName: result.name,
+            matchType: result.matchType,
+            formerName: result.matchType === 'formerName' ? localNamesFromName(result.name) : null,
+            score: result.score
+        })));
+    } catch (error) {
+        console.error('Error searching districts:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// --- Block and Panchayat Drill-down ---
+
+// Counts add up across areas; the two averages are re-derived from them when rolling up
+const ROLLUP_SUM_FIELDS = [
+    'jobCardsIssued', 'householdsWorked', 'activeWorkers', 'womenWorkers', 'scWorkers', 'stWorkers',
+    'totalPersondays', 'totalExpenditure', 'completedWorks', 'ongoingWorks'
+];
+
+function rollupGroupStage(id) {
+    const group = { _id: id, areaCount: { $sum: 1 }, wageDays: { $sum: { $multiply: ['$avgWage', '$totalPersondays'] } } };
+    ROLLUP_SUM_FIELDS.forEach(field => { group[field] = { $sum: `$${field}` }; });
+    return { $group: group };
+}
+
+// Days per household and the persondays-weighted wage, as data.gov.in reports them per district
+function rolledUpMetrics(totals) {
+    const metrics = {};
+    ROLLUP_SUM_FIELDS.forEach(field => { metrics[field] = totals[field] || 0; });
+    metrics.avgDaysProvided = metrics.householdsWorked > 0 ? parseFloat((metrics.totalPersondays / metrics.householdsWorked).toFixed(2)) : 0;
+    metrics.avgWage = metrics.totalPersondays > 0 ? parseFloat((totals.wageDays / metrics.totalPersondays).toFixed(2)) : 0;
+    return metrics;
+}
+
+// Groups touched records by some of their fields, collecting the distinct values of another
+function groupTouched(records, keyFields, valueField) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = keyFields.map(field => (record[field] instanceof Date ? record[field].getTime() : record[field])).join('|');
+        if (!groups.has(key)) {
+            groups.set(key, { match: Object.fromEntries(keyFields.map(field => [field, record[field]])), values: new Set() });
+        }
+        groups.get(key).values.add(record[valueField]);
+    });
+    return [...groups.values()].map(group => ({ match: group.match, values: [...group.values] }));
+}
+
+// Known areas per parent (e.g. panchayats per block), to tell a complete month from a partial upload
+async function countAreas(Model, match, parentField) {
+    const rows = await Model.aggregate([{ $match: match }, { $group: { _id: `$${parentField}`, count: { $sum: 1 } } }]);
+    return new Map(rows.map(row => [row._id, row.count]));
+}
+
+// Rewrites block figures from their panchayats and district figures from their blocks for the
+// touched months. Takes { stateCode, districtName, blockName?, panchayatName?, dataMonth } records
+// at any level and returns the district-level records it rewrote. A parent is only rewritten
+// when every block or panchayat known under it has figures for the month: partial sums would
+// replace its complete (e.g. data.gov.in) figures with smaller ones. Until then, and for
+// districts without block data, the parent keeps the figures it was given.
+async function rollUpPerformance(touched) {
+    const now = new Date();
+
+    for (const { match, values } of groupTouched(touched.filter(t => t.panchayatName), ['stateCode', 'districtName', 'dataMonth'], 'blockName')) {
+        const { dataMonth, ...district } = match;
+        const [aggregated, known] = await Promise.all([
+            PanchayatPerformance.aggregate([
+                { $match: { ...match, blockName: { $in: values } } },
+                rollupGroupStage('$blockName')
+            ]),
+            countAreas(Panchayat, { ...district, blockName: { $in: values } }, 'blockName')
+        ]);
+        const rows = aggregated.filter(row => row.areaCount >= (known.get(row._id) || 0));
+        if (rows.length === 0) continue;
+        await BlockPerformance.bulkWrite(rows.map(row => ({
+            updateOne: {
+                filter: { ...match, blockName: row._id },
+                update: { $set: { ...rolledUpMetrics(row), updatedAt: now, dataSource: 'rollup:panchayat' } },
+                upsert: true
+            }
+        })), { ordered: false });
+    }
+
+    const districtTouched = [];
+    for (const { match, values } of groupTouched(touched, ['stateCode', 'dataMonth'], 'districtName')) {
+        const [aggregated, known] = await Promise.all([
+            BlockPerformance.aggregate([
+                { $match: { ...match, districtName: { $in: values } } },
+                rollupGroupStage('$districtName')
+            ]),
+            countAreas(Block, { stateCode: match.stateCode, districtName: { $in: values } }, 'districtName')
+        ]);
+        const rows = aggregated.filter(row => row.areaCount >= (known.get(row._id) || 0));
+        if (rows.length === 0) continue;
+        const operations = rows.map(row => ({
+            updateOne: {
+                filter: { ...match, districtName: row._id },
+                update: { $set: { ...rolledUpMetrics(row), updatedAt: now, dataSource: 'rollup:block' } },
+                upsert: true
+            }
+        }));
+        await Performance.bulkWrite(operations, { ordered: false });
+        districtTouched.push(...operations.map(op => op.updateOne.filter));
+    }
+
+    return districtTouched;
+}
+
+// The average area among siblings (e.g. the average panchayat of a block), in the shape of
+// formatCurrentMetrics. Counts are averaged per area; days and wage are weighted like the roll-up.
+function areaAverage(records) {
+    if (records.length === 0) return null;
+    const totals = { wageDays: 0 };
+    records.forEach(record => {
+        ROLLUP_SUM_FIELDS.forEach(field => { totals[field] = (totals[field] || 0) + (record[field] || 0); });
+        totals.wageDays += (record.avgWage || 0) * (record.totalPersondays || 0);
+    });
+    const metrics = rolledUpMetrics(totals);
+    return {
+        householdsWorked: Math.round(totals.householdsWorked / records.length),
+        activeWorkers: Math.round(totals.activeWorkers / records.length),
+        womenWorkers: Math.round(totals.womenWorkers / records.length),
+        avgDays: parseFloat(metrics.avgDaysProvided.toFixed(1)),
+        avgWage: parseFloat(metrics.avgWage.toFixed(2))
+    };
+}
+
+// ?month=YYYY-MM, or the latest month the model has for the filter. Returns undefined for a bad month.
+async function resolveAreaMonth(Model, filter, month) {
+    if (month) return parseMonthParam(month) || undefined;
+    const latest = await Model.findOne(filter).sort({ dataMonth: -1 }).select('dataMonth').lean();
+    return latest ? latest.dataMonth : null;
+}
+
+// Blocks of a district with their figures for one month (latest by default), compared with
+// the district's average block
+app.get('/api/blocks', async (req, res) => {
+    try {
+        const { state, district, month } = req.query;
+
+        if (!state || !district) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateDistrictRequired') });
+        }
+
+        const filter = { stateCode: state, districtName: district };
+        const dataMonth = await resolveAreaMonth(BlockPerformance, filter, month);
+        if (dataMonth === undefined) {
+            return res.status(400).json({ error: apiMessage(req, 'api.monthFormat') });
+        }
+
+        const [blocks, records, panchayatCounts] = await Promise.all([
+            Block.find(filter).sort({ blockName: 1 }).lean(),
+            dataMonth ? BlockPerformance.find({ ...filter, dataMonth }).lean() : [],
+            Panchayat.aggregate([{ $match: filter }, { $group: { _id: '$blockName', count: { $sum: 1 } } }])
+        ]);
+        const recordByBlock = new Map(records.map(record => [record.blockName, record]));
+        const countByBlock = new Map(panchayatCounts.map(row => [row._id, row.count]));
+
+        res.json({
+            state,
+            district,
+            month: dataMonth ? monthKey(dataMonth) : null,
+            label: formatMonth(dataMonth),
+            blocks: blocks.map(block => {
+                const record = recordByBlock.get(block.blockName);
+                return {
+                    block: block.blockName,
+                    panchayats: countByBlock.get(block.blockName) || 0,
+                    current: record ? formatCurrentMetrics(record) : null,
+                    dataQuality: record ? dataQualitySummary(record) : null
+                };
+            }),
+            districtAvg: areaAverage(records)
+        });
+    } catch (error) {
+        console.error('Error fetching blocks:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// Gram Panchayats of a block with their figures for one month, compared with the block's
+// average panchayat
+app.get('/api/panchayats', async (req, res) => {
+    try {
+        const { state, district, block, month } = req.query;
+
+        if (!state || !district || !block) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateDistrictBlockRequired') });
+        }
+
+        const filter = { stateCode: state, districtName: district, blockName: block };
+        const dataMonth = await resolveAreaMonth(PanchayatPerformance, filter, month);
+        if (dataMonth === undefined) {
+            return res.status(400).json({ error: apiMessage(req, 'api.monthFormat') });
+        }
+
+        const [panchayats, records, blockRecord] = await Promise.all([
+            Panchayat.find(filter).sort({ panchayatName: 1 }).lean(),
+            dataMonth ? PanchayatPerformance.find({ ...filter, dataMonth }).lean() : [],
+            dataMonth ? BlockPerformance.findOne({ ...filter, dataMonth }).lean() : null
+        ]);
+        const recordByPanchayat = new Map(records.map(record => [record.panchayatName, record]));
+
+        res.json({
+            state,
+            district,
+            block,
+            month: dataMonth ? monthKey(dataMonth) : null,
+            label: formatMonth(dataMonth),
+            blockTotal: blockRecord ? formatCurrentMetrics(blockRecord) : null,
+            blockAvg: areaAverage(records),
+            panchayats: panchayats.map(panchayat => {
+                const record = recordByPanchayat.get(panchayat.panchayatName);
+                return {
+                    panchayat: panchayat.panchayatName,
+                    current: record ? formatCurrentMetrics(record) : null,
+                    dataQuality: record ? dataQualitySummary(record) : null
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error fetching panchayats:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// --- Location Detection API ---
+// Resolves coordinates against the bundled district boundaries first; Nominatim is only
+// used as an optional fallback (see NOMINATIM_CONTACT_EMAIL).
+app.get('/api/detect-location', async (req, res) => {
+    const startTime = Date.now();
+    const logOutcome = (outcome, responseStatus = 200, extra = {}) =>
+        logRequest(req, '/api/detect-location', startTime, responseStatus, { outcome, ...extra });
+    try {
+        const { lat, lng } = req.query;
+
+        if (!lat || !lng) {
+            logOutcome('invalid', 400);
+            return res.status(400).json({ 
+                error: apiMessage(req, 'api.latLngRequired') 
+            });
+        }
+
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lng);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+            Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            logOutcome('invalid', 400);
+            return res.status(400).json({ error: apiMessage(req, 'api.latLngInvalid') });
+        }
+
+        // 1. Offline point-in-polygon lookup
+        const boundary = findDistrictBoundary(latitude, longitude);
+        if (boundary) {
+            const district = await resolveBoundaryDistrict(boundary);
+            if (district) {
+                logOutcome('boundaries');
+                return res.json({
+                    state: district.stateCode,
+                    district: district.districtName,
+                    detected: true,
+                    source: 'boundaries'
+                });
+            }
+        }
+
+        // 2. Optional online fallback
+        if (!NOMINATIM_CONTACT_EMAIL) {
+            logOutcome('outside_boundaries');
+            return res.json({
+                detected: false,
+                detectedDistrictName: boundary ? boundary.district : null,
+                message: apiMessage(req, 'api.location.outsideBoundaries')
+            });
+        }
+
+        const address = await reverseGeocodeNominatim(latitude, longitude);
+
+        // Prioritize: state_district (common in India) -> county -> city -> village
+        const detectedDistrictName = address.state_district || address.county || address.city || address.village;
+
+        if (!detectedDistrictName) {
+            logOutcome('geocode_failed');
+            return res.json({
+                detected: false,
+                detectedDistrictName: 'External Geocoding Failure',
+                message: apiMessage(req, 'api.location.geocodeFailed')
+            });
+        }
+
+        const matchingDistrict = await matchDistrictByName(detectedDistrictName, address.state);
+
+        if (matchingDistrict) {
+            logOutcome('nominatim');
+            return res.json({
+                state: matchingDistrict.stateCode,
+                district: matchingDistrict.districtName,
+                detected: true,
+                source: 'nominatim'
+            });
+        }
+
+        // If we found a name but couldn't match it:
+        logOutcome('unmatched');
+        res.json({
+            detected: false,
+            detectedDistrictName: detectedDistrictName,
+            message: apiMessage(req, 'api.location.unmatched', { name: detectedDistrictName })
+        });
+
+    } catch (error) {
+        console.error('Error detecting location:', error.message);
+        
+        logOutcome('error', 500, { errorMessage: error.message });
+        
         // Return 200 with an error message in the payload for frontend handling
         res.status(200).json({ 
             detected: false, 
-            message: 'Location service temporarily unavailable. Please select manually.' 
+            message: apiMessage(req, 'api.location.unavailable') 
+        });
+    }
+});
+app.get('/api/health', async (req, res) => {
+    try {
+        await mongoose.connection.db.admin().ping();
+        res.json({ 
+            status: 'healthy', 
+            database: 'connected',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Health check failed:', error.message);
+        res.status(503).json({ 
+            status: 'unhealthy', 
+            database: 'disconnected'
+        });
+    }
+});
+// --- Admin API ---
+// Token-protected corrections. Every change is written to AuditLog with before/after values;
+// a reason is required for anything that alters published data.
+const DISTRICT_NAME_FORMAT = /^[^()]+\s\([^()]+\)$/;
+const MAX_AUDIT_RESULTS = 500;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest();
+}
+
+function requireAdmin(req, res, next) {
+    if (ADMIN_TOKENS.length === 0) {
+        return res.status(503).json({ error: apiMessage(req, 'api.admin.disabled'), message: apiMessage(req, 'api.admin.disabledHint') });
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    // Compare fixed-length digests so the check does not leak token contents through timing
+    const digest = match ? hashToken(match[1].trim()) : null;
+    const admin = digest && ADMIN_TOKENS.find(candidate => crypto.timingSafeEqual(hashToken(candidate.token), digest));
+
+    if (!admin) {
+        return res.status(401).json({ error: apiMessage(req, 'api.admin.tokenRequired') });
+    }
+
+    req.adminActor = admin.actor;
+    next();
+}
+
+function recordAudit(req, entry) {
+    return AuditLog.create({ ...entry, actor: req.adminActor, ipAddress: req.ip });
+}
+
+// Reason may come from the JSON body or, for DELETE requests, the query string
+function auditReason(req) {
+    const reason = (req.body && req.body.reason) || req.query.reason;
+    return typeof reason === 'string' && reason.trim() ? reason.trim() : null;
+}
+
+// Admin-supplied display names: a plain object from locale codes to non-empty strings
+function isValidLocalNames(localNames) {
+    return localNames !== null && typeof localNames === 'object' && Object.getPrototypeOf(localNames) === Object.prototype
+        && Object.entries(localNames).every(([locale, name]) => LOCALES.includes(locale) && typeof name === 'string' && name.trim() !== '');
+}
+
+function trimLocalNames(localNames) {
+    return Object.fromEntries(Object.entries(localNames).map(([locale, name]) => [locale, name.trim()]));
+}
+
+function districtSnapshot(district) {
+    return {
+        districtName: district.districtName,
+        districtCode: district.districtCode || null,
+        localNames: districtLocalNames(district),
+        formerNames: district.formerNames || [],
+        aliases: district.aliases || [],
+        retired: Boolean(district.retired)
+    };
+}
+
+// Rebuilds a state's aggregates for every month the district has data after a rename or
+// retirement, so the state figures of each month gain or lose it. Without Performance records
+// there is nothing to rebuild, but cached responses may still list it.
+async function refreshDistrictAggregates(stateCode, districtName) {
+    const months = await Performance.distinct('dataMonth', { stateCode, districtName });
+    if (months.length > 0) {
+        await refreshAggregates(months.map(dataMonth => ({ stateCode, dataMonth })));
+    } else {
+        invalidateDistrictDataCache(stateCode);
+    }
+}
+
+app.use('/api/admin', requireAdmin);
+
+app.get('/api/admin/districts', async (req, res) => {
+    try {
+        const { state, includeRetired } = req.query;
+        const filter = state ? { stateCode: state } : {};
+        if (includeRetired !== 'true') filter.retired = { $ne: true };
+
+        const districts = await District.find(filter).sort({ stateCode: 1, districtName: 1 }).lean();
+        res.json(districts);
+    } catch (error) {
+        console.error('Error listing admin districts:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+app.post('/api/admin/districts', async (req, res) => {
+    try {
+        const { stateCode, districtName, districtCode, localNames } = req.body || {};
+        const reason = auditReason(req);
+        const state = getRegistryState(String(stateCode || '').toUpperCase());
+
+        if (!state) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.unknownState', { state: stateCode }) });
+        }
+        if (typeof districtName !== 'string' || !DISTRICT_NAME_FORMAT.test(districtName.trim())) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.districtNameFormat') });
+        }
+        if (localNames !== undefined && !isValidLocalNames(localNames)) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.invalidLocalNames', { locales: LOCALES.join(', ') }) });
+        }
+        if (!reason) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.reasonRequired') });
+        }
+
+        const name = districtName.trim();
+        if (await District.exists({ stateCode: state.stateCode, districtName: name })) {
+            return res.status(409).json({ error: apiMessage(req, 'api.admin.districtExists', { district: name, state: state.stateCode }) });
+        }
+
+        const district = await District.create({
+            stateCode: state.stateCode,
+            stateName: registryStateName(state),
+            districtName: name,
+            districtCode: districtCode || undefined,
+            localNames: { ...localNamesFromName(name), ...(localNames && trimLocalNames(localNames)) }
+        });
+        invalidateDistrictSearchIndex();
+
+        await recordAudit(req, {
+            action: 'district.create',
+            entityType: 'District',
+            entityId: district._id,
+            stateCode: district.stateCode,
+            districtName: district.districtName,
+            before: null,
+            after: districtSnapshot(district),
+            reason
+        });
+
+        res.status(201).json(district);
+    } catch (error) {
+        console.error('Error creating district:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// Renames a district and/or changes its code or search aliases. A rename moves all of its
+// Performance records to the new name and keeps the old one in formerNames so syncs and
+// imports still match it.
+app.patch('/api/admin/districts/:id', async (req, res) => {
+    try {
+        const { districtName, districtCode, localNames, aliases } = req.body || {};
+        const reason = auditReason(req);
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.invalidDistrictId') });
+        }
+        if (districtName === undefined && districtCode === undefined && localNames === undefined && aliases === undefined) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.nothingToChangeDistrict') });
+        }
+        if (aliases !== undefined && (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !alias.trim()))) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.invalidAliases') });
+        }
+        if (localNames !== undefined && !isValidLocalNames(localNames)) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.invalidLocalNames', { locales: LOCALES.join(', ') }) });
+        }
+        if (districtName !== undefined && (typeof districtName !== 'string' || !DISTRICT_NAME_FORMAT.test(districtName.trim()))) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.districtNameFormat') });
+        }
+        if (!reason) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.reasonRequired') });
+        }
+
+        const district = await District.findById(req.params.id);
+        if (!district) {
+            return res.status(404).json({ error: apiMessage(req, 'api.admin.districtNotFound') });
+        }
+
+        const before = districtSnapshot(district);
+        const oldName = district.districtName;
+        const newName = districtName !== undefined ? districtName.trim() : oldName;
+
+        if (newName !== oldName) {
+            if (await District.exists({ stateCode: district.stateCode, districtName: newName })) {
+                return res.status(409).json({ error: apiMessage(req, 'api.admin.districtExists', { district: newName, state: district.stateCode }) });
+            }
+            district.districtName = newName;
+            district.formerNames = [...new Set([...(district.formerNames || []), oldName])].filter(name => name !== newName);
+            // Hindi/English display names follow the new name; a Marathi name is kept unless given
+            const derived = localNamesFromName(newName);
+            district.localNames = { ...derived, mr: (district.localNames && district.localNames.mr) || derived.mr };
+        }
+        if (districtCode !== undefined) {
+            district.districtCode = districtCode || undefined;
+        }
+        if (localNames !== undefined) {
+            district.localNames = { ...districtLocalNames(district), ...trimLocalNames(localNames) };
+        }
+        if (aliases !== undefined) {
+            district.aliases = [...new Set(aliases.map(alias => alias.trim()))];
+        }
+        await district.save();
+        invalidateDistrictSearchIndex();
+
+        let recordsMoved = 0;
+        if (newName !== oldName) {
+            const result = await Performance.updateMany(
+                { stateCode: district.stateCode, districtName: oldName },
+                { $set: { districtName: newName } }
+            );
+            recordsMoved = result.modifiedCount;
+            // Everything else keyed by the district name follows it
+            for (const Model of [Block, Panchayat, BlockPerformance, PanchayatPerformance, Subscription]) {
+                await Model.updateMany(
+                    { stateCode: district.stateCode, districtName: oldName },
+                    { $set: { districtName: newName } }
+                );
+            }
+        }
+
+        // Audit the change before the derived data is rebuilt, so a failure there cannot lose it
+        await recordAudit(req, {
+            action: 'district.update',
+            entityType: 'District',
+            entityId: district._id,
+            stateCode: district.stateCode,
+            districtName: newName,
+            before,
+            after: { ...districtSnapshot(district), performanceRecordsMoved: recordsMoved },
+            reason
+        });
+
+        if (newName !== oldName) {
+            await refreshDistrictAggregates(district.stateCode, newName);
+        }
+
+        res.json(district);
+    } catch (error) {
+        console.error('Error updating district:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+app.post('/api/admin/districts/:id/retire', async (req, res) => {
+    try {
+        const reason = auditReason(req);
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.invalidDistrictId') });
+        }
+        if (!reason) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.reasonRequired') });
+        }
+
+        const district = await District.findById(req.params.id);
+        if (!district) {
+            return res.status(404).json({ error: apiMessage(req, 'api.admin.districtNotFound') });
+        }
+        if (district.retired) {
+            return res.status(409).json({ error: apiMessage(req, 'api.admin.alreadyRetired') });
+        }
+
+        const before = districtSnapshot(district);
+        district.retired = true;
+        district.retiredAt = new Date();
+        await district.save();
+        invalidateDistrictSearchIndex();
+
+        await recordAudit(req, {
+            action: 'district.retire',
+            entityType: 'District',
+            entityId: district._id,
+            stateCode: district.stateCode,
+            districtName: district.districtName,
+            before,
+            after: districtSnapshot(district),
+            reason
+        });
+
+        // Comparisons and cached responses for the state still list the district until rebuilt
+        await refreshDistrictAggregates(district.stateCode, district.districtName);
+
+        res.json(district);
+    } catch (error) {
+        console.error('Error retiring district:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+app.get('/api/admin/performance', async (req, res) => {
+    try {
+        const { state, district, month } = req.query;
+
+        if (!state || !district) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateDistrictRequired') });
+        }
+
+        const filter = { stateCode: state, districtName: district };
+        if (month) {
+            const dataMonth = parseMonthParam(month);
+            if (!dataMonth) return res.status(400).json({ error: apiMessage(req, 'api.monthFormat') });
+            filter.dataMonth = dataMonth;
+        }
+
+        const records = await Performance.find(filter).sort({ dataMonth: -1 }).limit(MAX_HISTORY_MONTHS).lean();
+        res.json(records);
+    } catch (error) {
+        console.error('Error listing performance records:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// Corrects metric values on one record, e.g. { "householdsWorked": 51234, "reason": "..." }
+app.patch('/api/admin/performance/:id', async (req, res) => {
+    try {
+        const { reason: _reason, ...changes } = req.body || {};
+        const reason = auditReason(req);
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.invalidRecordId') });
+        }
+        const fields = Object.keys(changes);
+        if (fields.length === 0) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.nothingToChangeRecord', { fields: HISTORY_METRICS.join(', ') }) });
+        }
+        const invalid = fields.find(field => !HISTORY_METRICS.includes(field));
+        if (invalid) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.fieldNotCorrectable', { field: invalid, fields: HISTORY_METRICS.join(', ') }) });
+        }
+        const badValue = fields.find(field => typeof changes[field] !== 'number' || !Number.isFinite(changes[field]) || changes[field] < 0);
+        if (badValue) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.notNonNegative', { field: badValue }) });
+        }
+        if (!reason) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.reasonRequired') });
+        }
+
+        const record = await Performance.findById(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: apiMessage(req, 'api.admin.recordNotFound') });
+        }
+
+        const before = {};
+        fields.forEach(field => { before[field] = record[field]; });
+        record.set({ ...changes, updatedAt: new Date() });
+        await record.save();
+
+        await recordAudit(req, {
+            action: 'performance.correct',
+            entityType: 'Performance',
+            entityId: record._id,
+            stateCode: record.stateCode,
+            districtName: record.districtName,
+            dataMonth: record.dataMonth,
+            before,
+            after: changes,
+            reason
+        });
+
+        const touched = [{ stateCode: record.stateCode, dataMonth: record.dataMonth }];
+        await checkDataQuality(touched);
+        await refreshAggregates(touched);
+
+        res.json(await Performance.findById(record._id).lean());
+    } catch (error) {
+        console.error('Error correcting performance record:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+app.delete('/api/admin/performance/:id', async (req, res) => {
+    try {
+        const reason = auditReason(req);
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.invalidRecordId') });
+        }
+        if (!reason) {
+            return res.status(400).json({ error: apiMessage(req, 'api.admin.reasonRequired') });
+        }
+
+        const record = await Performance.findByIdAndDelete(req.params.id).lean();
+        if (!record) {
+            return res.status(404).json({ error: apiMessage(req, 'api.admin.recordNotFound') });
+        }
+
+        await recordAudit(req, {
+            action: 'performance.delete',
+            entityType: 'Performance',
+            entityId: record._id,
+            stateCode: record.stateCode,
+            districtName: record.districtName,
+            dataMonth: record.dataMonth,
+            before: record,
+            after: null,
+            reason
+        });
+
+        const touched = [{ stateCode: record.stateCode, dataMonth: record.dataMonth }];
+        await checkDataQuality(touched);
+        await refreshAggregates(touched);
+
+        res.json({ deleted: true, id: record._id });
+    } catch (error) {
+        console.error('Error deleting performance record:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// Starts a data.gov.in sync in the background; progress is visible in SyncLog
+app.post('/api/admin/sync', async (req, res) => {
+    try {
+        if (syncInProgress) {
+            return res.status(409).json({ error: apiMessage(req, 'api.admin.syncRunning') });
+        }
+
+        await recordAudit(req, {
+            action: 'sync.trigger',
+            entityType: 'Sync',
+            reason: auditReason(req) || undefined
+        });
+
+        syncMGNREGAData().catch(error => console.error('Admin-triggered sync error:', error.message));
+        res.status(202).json({ message: apiMessage(req, 'api.admin.syncStarted') });
+    } catch (error) {
+        console.error('Error triggering sync:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+app.get('/api/admin/audit', async (req, res) => {
+    try {
+        const { entityType, entityId, state, district, actor } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_AUDIT_RESULTS);
+
+        const filter = {};
+        if (entityType) filter.entityType = entityType;
+        if (entityId) {
+            if (!mongoose.isValidObjectId(entityId)) return res.status(400).json({ error: apiMessage(req, 'api.admin.invalidEntityId') });
+            filter.entityId = entityId;
+        }
+        if (state) filter.stateCode = state;
+        if (district) filter.districtName = district;
+        if (actor) filter.actor = actor;
+
+        const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+        res.json(entries);
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// --- Usage Analytics ---
+// ApiLog summaries for the admin page (admin.html). The window is whole days in the server's
+// time zone, ending today.
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 365;
+const ANALYTICS_TOP_DISTRICTS = 10;
+const ANALYTICS_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const DETECTION_SUCCESS_OUTCOMES = ['boundaries', 'nominatim'];
+
+function dayKey(date) {
+    return `${monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+function percentOf(count, total) {
+    return total > 0 ? parseFloat((count / total * 100).toFixed(1)) : null;
+}
+
+// endpoint -> ascending response times. Streamed rather than $push-ed so a busy window cannot
+// exceed the aggregation document size limit.
+async function collectResponseTimes(match) {
+    const times = new Map();
+    const cursor = ApiLog.find({ ...match, responseTimeMs: { $type: 'number' } })
+        .select('endpoint responseTimeMs')
+        .lean()
+        .cursor();
+    for await (const entry of cursor) {
+        if (!times.has(entry.endpoint)) times.set(entry.endpoint, []);
+        times.get(entry.endpoint).push(entry.responseTimeMs);
+    }
+    times.forEach(values => values.sort((a, b) => a - b));
+    return times;
+}
+
+app.get('/api/admin/analytics', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_ANALYTICS_DAYS, 1), MAX_ANALYTICS_DAYS);
+        const since = new Date();
+        since.setHours(0, 0, 0, 0);
+        since.setDate(since.getDate() - (days - 1));
+        const match = { createdAt: { $gte: since } };
+        const statusBetween = (min, max) => ({
+            $sum: { $cond: [{ $and: [{ $gte: ['$responseStatus', min] }, { $lt: ['$responseStatus', max] }] }, 1, 0] }
+        });
+
+        const [mostViewed, perDay, perEndpoint, detections, responseTimes] = await Promise.all([
+            ApiLog.aggregate([
+                { $match: { ...match, endpoint: '/api/district-data', responseStatus: 200 } },
+                { $group: { _id: { state: '$requestParams.state', district: '$requestParams.district' }, views: { $sum: 1 } } },
+                { $sort: { views: -1 } },
+                { $limit: ANALYTICS_TOP_DISTRICTS }
+            ]),
+            ApiLog.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: ANALYTICS_TIMEZONE } },
+                        requests: { $sum: 1 },
+                        serverErrors: statusBetween(500, 600)
+                    }
+                }
+            ]),
+            ApiLog.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: '$endpoint',
+                        requests: { $sum: 1 },
+                        clientErrors: statusBetween(400, 500),
+                        serverErrors: statusBetween(500, 600)
+                    }
+                },
+                { $sort: { requests: -1 } }
+            ]),
+            ApiLog.aggregate([
+                { $match: { ...match, endpoint: '/api/detect-location' } },
+                { $group: { _id: '$outcome', count: { $sum: 1 } } }
+            ]),
+            collectResponseTimes(match)
+        ]);
+
+        // Every day of the window, including days without traffic
+        const byDay = new Map(perDay.map(day => [day._id, day]));
+        const requestsPerDay = [];
+        for (let cursor = new Date(since); cursor <= new Date(); cursor.setDate(cursor.getDate() + 1)) {
+            const day = byDay.get(dayKey(cursor));
+            requestsPerDay.push({
+                date: dayKey(cursor),
+                requests: day ? day.requests : 0,
+                serverErrors: day ? day.serverErrors : 0
+            });
+        }
+
+        // Invalid coordinates are the caller's mistake, not a failed detection
+        const outcomes = Object.fromEntries(detections.map(row => [row._id || 'unknown', row.count]));
+        const attempts = detections.filter(row => row._id !== 'invalid').reduce((sum, row) => sum + row.count, 0);
+        const detected = DETECTION_SUCCESS_OUTCOMES.reduce((sum, outcome) => sum + (outcomes[outcome] || 0), 0);
+
+        res.json({
+            days,
+            from: dayKey(since),
+            timezone: ANALYTICS_TIMEZONE,
+            totalRequests: perEndpoint.reduce((sum, row) => sum + row.requests, 0),
+            requestsPerDay,
+            endpoints: perEndpoint.map(row => {
+                const times = responseTimes.get(row._id) || [];
+                return {
+                    endpoint: row._id,
+                    requests: row.requests,
+                    // Percentages of the endpoint's requests
+                    clientErrorRate: percentOf(row.clientErrors, row.requests),
+                    serverErrorRate: percentOf(row.serverErrors, row.requests),
+                    p50Ms: percentile(times, 50),
+                    p95Ms: percentile(times, 95)
+                };
+            }),
+            mostViewedDistricts: mostViewed.map(row => ({
+                state: row._id.state,
+                district: row._id.district,
+                views: row.views
+            })),
+            autoDetect: {
+                attempts,
+                detected,
+                successRate: percentOf(detected, attempts),
+                outcomes
+            },
+            retention: {
+                days: API_LOG_RETENTION_DAYS > 0 ? API_LOG_RETENTION_DAYS : null,
+                ipMode: API_LOG_IP_MODE
+            }
+        });
+    } catch (error) {
+        console.error('Error computing usage analytics:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// --- District Subscriptions and Change Alerts ---
+// Contacts opt in per district with a code sent over their channel. After every sync the notifier
+// compares each subscribed district's latest month with the month before and sends bilingual alerts.
+const OPT_IN_CODE_TTL_MS = 30 * 60 * 1000;
+const OPT_IN_RESEND_INTERVAL_MS = 60 * 1000;
+const OPT_IN_MAX_ATTEMPTS = 5;
+const GATEWAY_TIMEOUT_MS = 10000;
+const SMTP_TIMEOUT_MS = 20000;
+const SUBSCRIPTION_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const SUBSCRIPTION_LIMIT_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Signs proof-of-work challenges. A restart invalidates outstanding ones, which only costs a retry.
+const SUBSCRIPTION_CHALLENGE_SECRET = crypto.randomBytes(32);
+const PHONE_FORMAT = /^\+?[1-9]\d{7,14}$/;
+const EMAIL_FORMAT = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+// Inbound replies that opt a contact out of every district (English, Hindi, Marathi)
+const OPT_OUT_KEYWORDS = /^\s*(stop|unsubscribe|बंद|रोकें|थांबवा)(\s|$)/i;
+
+// Delivery channels. To add one, give it a contact check and a send(contact, { subject, text }).
+const NOTIFICATION_CHANNELS = {
+    sms: {
+        configured: () => Boolean(SMS_WEBHOOK_URL),
+        normalizeContact: contact => contact.replace(/[\s-]/g, ''),
+        validContact: contact => PHONE_FORMAT.test(contact),
+        send: (contact, message) => sendGatewayMessage(SMS_WEBHOOK_URL, 'sms', contact, message.text)
+    },
+    whatsapp: {
+        configured: () => Boolean(WHATSAPP_WEBHOOK_URL),
+        normalizeContact: contact => contact.replace(/[\s-]/g, ''),
+        validContact: contact => PHONE_FORMAT.test(contact),
+        send: (contact, message) => sendGatewayMessage(WHATSAPP_WEBHOOK_URL, 'whatsapp', contact, message.text)
+    },
+    email: {
+        configured: () => Boolean(SMTP_HOST),
+        normalizeContact: contact => contact.trim().toLowerCase(),
+        validContact: contact => EMAIL_FORMAT.test(contact),
+        send: (contact, message) => sendSmtpMail(contact, message.subject, message.text)
+    }
+};
+
+// Channel named in a request body; names inherited from Object.prototype are not channels
+function notificationChannel(name) {
+    return typeof name === 'string' && Object.hasOwn(NOTIFICATION_CHANNELS, name) ? NOTIFICATION_CHANNELS[name] : null;
+}
+
+function availableChannels() {
+    return Object.keys(NOTIFICATION_CHANNELS).filter(name => NOTIFICATION_CHANNELS[name].configured());
+}
+
+// SMS/WhatsApp gateways receive { channel, to, message } and should answer 2xx once accepted
+async function sendGatewayMessage(url, channel, to, text) {
+    const headers = NOTIFY_WEBHOOK_TOKEN ? { Authorization: `Bearer ${NOTIFY_WEBHOOK_TOKEN}` } : {};
+    await axios.post(url, { channel, to, message: text }, { headers, timeout: GATEWAY_TIMEOUT_MS });
+}
+
+// Built on first use, so a server without SMTP_HOST never creates a transport
+let smtpTransport = null;
+
+// Plain-text UTF-8 mail to one recipient; nodemailer upgrades to STARTTLS when the server offers it
+function sendSmtpMail(to, subject, text) {
+    if (!smtpTransport) {
+        smtpTransport = nodemailer.createTransport({
+            host: SMTP_HOST,
+            port: SMTP_PORT,
+            secure: SMTP_SECURE,
+            auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+            connectionTimeout: SMTP_TIMEOUT_MS,
+            greetingTimeout: SMTP_TIMEOUT_MS,
+            socketTimeout: SMTP_TIMEOUT_MS
+        });
+    }
+    return smtpTransport.sendMail({ from: SMTP_FROM, to, subject, text });
+}
+
+// Text in the subscriber's language followed by English (just English for 'en' subscribers)
+function bilingualText(locale, build, separator = '\n\n') {
+    const locales = locale === 'en' ? ['en'] : [locale, 'en'];
+    return locales.map(l => localizeDigits(build(l), l)).join(separator);
+}
+
+function optInMessage(subscription, district, code) {
+    const names = districtLocalNames(district);
+    return {
+        subject: bilingualText(subscription.locale, l => translate(l, 'alert.optIn.subject'), ' | '),
+        text: bilingualText(subscription.locale, l => translate(l, 'alert.optIn.text', { district: names[l], code }))
+    };
+}
+
+function alertMessage(subscription, district, dataMonth, alerts) {
+    const names = districtLocalNames(district);
+    const unsubscribeUrl = `${PUBLIC_BASE_URL}/api/subscriptions/unsubscribe?token=${subscription.unsubscribeToken}`;
+    const text = bilingualText(subscription.locale, l => {
+        const month = dataMonth.toLocaleDateString(LOCALE_BUNDLES[l].meta.dateLocale, { month: 'long', year: 'numeric' });
+        return [
+            translate(l, 'alert.heading', { district: names[l], month }),
+            ...alerts.map(alert => translate(l, `alert.${alert.code}`, alert.params)),
+            translate(l, 'alert.unsubscribe')
+        ].join('\n');
+    });
+    return {
+        subject: bilingualText(subscription.locale, l => translate(l, 'alert.subject', { district: names[l] }), ' | '),
+        // The link stays outside localizeDigits so its digits are not rewritten
+        text: `${text}\n${unsubscribeUrl}`
+    };
+}
+
+// Significant changes in a district's month compared with the month before
+async function detectDistrictAlerts(stateCode, districtName, dataMonth) {
+    const previousMonth = new Date(dataMonth);
+    previousMonth.setMonth(previousMonth.getMonth() - 1);
+
+    const [record, previous] = await Promise.all([
+        Performance.findOne({ stateCode, districtName, dataMonth }).lean(),
+        Performance.findOne({ stateCode, districtName, dataMonth: previousMonth }).lean()
+    ]);
+    // Figures flagged as errors are more likely a bad upload than a real change
+    if (!record || (record.qualityFlags || []).some(flag => flag.severity === 'error')) return [];
+
+    const alerts = [];
+
+    if (previous && previous.householdsWorked > 0) {
+        const drop = (previous.householdsWorked - record.householdsWorked) / previous.householdsWorked * 100;
+        if (drop >= ALERT_HOUSEHOLDS_DROP_PERCENT) {
+            alerts.push({
+                code: 'householdsDrop',
+                params: {
+                    percent: Math.round(drop),
+                    previous: previous.householdsWorked.toLocaleString('en-IN'),
+                    current: record.householdsWorked.toLocaleString('en-IN')
+                }
+            });
+        }
+    }
+
+    // Only when the district falls below the state average, not every month it stays there
+    const [stateAvgData, previousStateAvg] = await Promise.all([
+        getStateAverages(stateCode, dataMonth),
+        previous ? getStateAverages(stateCode, previousMonth) : null
+    ]);
+    const wasBelow = previous && previousStateAvg && previous.avgDaysProvided < previousStateAvg.avgAvgDays;
+    if (stateAvgData && record.avgDaysProvided < stateAvgData.avgAvgDays && !wasBelow) {
+        alerts.push({
+            code: 'daysBelowState',
+            params: { days: record.avgDaysProvided.toFixed(1), stateDays: stateAvgData.avgAvgDays.toFixed(1) }
+        });
+    }
+
+    return alerts;
+}
+
+// Sends one subscriber the alerts it has not received yet for this month, subject to the rate limit
+async function deliverAlerts(subscription, district, dataMonth, alerts) {
+    const alreadySent = await AlertLog.distinct('alerts', { subscriptionId: subscription._id, dataMonth, status: 'sent' });
+    const pending = alerts.filter(alert => !alreadySent.includes(alert.code));
+    if (pending.length === 0) return 'duplicate';
+
+    const entry = {
+        subscriptionId: subscription._id,
+        channel: subscription.channel,
+        stateCode: subscription.stateCode,
+        districtName: subscription.districtName,
+        dataMonth,
+        alerts: pending.map(alert => alert.code)
+    };
+
+    // Rate-limited alerts are not lost: the next sync detects them again once the window has passed
+    const windowStart = new Date(Date.now() - ALERT_MIN_INTERVAL_HOURS * 60 * 60 * 1000);
+    if (subscription.lastAlertAt && subscription.lastAlertAt > windowStart) {
+        await AlertLog.create({ ...entry, status: 'rate_limited' });
+        return 'rate_limited';
+    }
+
+    const channel = NOTIFICATION_CHANNELS[subscription.channel];
+    try {
+        if (!channel.configured()) throw new Error(`Channel '${subscription.channel}' is not configured`);
+        await channel.send(subscription.contact, alertMessage(subscription, district, dataMonth, pending));
+    } catch (error) {
+        await AlertLog.create({ ...entry, status: 'failed', errorMessage: error.message });
+        return 'failed';
+    }
+
+    await Subscription.updateOne({ _id: subscription._id }, { $set: { lastAlertAt: new Date() } });
+    await AlertLog.create({ ...entry, status: 'sent' });
+    return 'sent';
+}
+
+// Runs after each sync with the { stateCode, districtName, dataMonth } records it wrote.
+// Each subscribed district is checked once, for the latest month the sync touched.
+async function notifySubscribers(touched) {
+    const latest = new Map();
+    touched.forEach(({ stateCode, districtName, dataMonth }) => {
+        const key = `${stateCode}|${districtName}`;
+        if (!latest.has(key) || latest.get(key) < dataMonth) latest.set(key, dataMonth);
+    });
+
+    const stateCodes = [...new Set(touched.map(t => t.stateCode))];
+    const subscriptions = await Subscription.find({ status: 'active', stateCode: { $in: stateCodes } });
+    const byDistrict = new Map();
+    subscriptions.forEach(subscription => {
+        const key = `${subscription.stateCode}|${subscription.districtName}`;
+        if (!latest.has(key)) return;
+        if (!byDistrict.has(key)) byDistrict.set(key, []);
+        byDistrict.get(key).push(subscription);
+    });
+
+    const counts = { sent: 0, failed: 0, rate_limited: 0, duplicate: 0 };
+    for (const [key, districtSubscriptions] of byDistrict) {
+        const [stateCode, districtName] = key.split('|');
+        const dataMonth = latest.get(key);
+        const alerts = await detectDistrictAlerts(stateCode, districtName, dataMonth);
+        if (alerts.length === 0) continue;
+
+        const district = await District.findOne({ stateCode, districtName }).lean();
+        if (!district || district.retired) continue;
+
+        for (const subscription of districtSubscriptions) {
+            counts[await deliverAlerts(subscription, district, dataMonth, alerts)]++;
+        }
+    }
+
+    console.log(`📣 Alerts: ${counts.sent} sent, ${counts.failed} failed, ${counts.rate_limited} rate-limited.`);
+    return counts;
+}
+
+// Fixed-window daily counters keyed "ip:<address>" or "contact:<contact>"
+const optInLimitWindows = new Map();
+// Challenges already spent, with their expiry, so each proof of work is accepted once
+const usedChallenges = new Map();
+
+// Counts one opt-in code against every [key, limit] pair, or none of them when any is used up
+function takeOptInAllowance(limits) {
+    const now = Date.now();
+    const counters = limits.map(([key, limit]) => {
+        let counter = optInLimitWindows.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + SUBSCRIPTION_LIMIT_WINDOW_MS };
+            optInLimitWindows.set(key, counter);
+        }
+        return { counter, limit };
+    });
+    if (counters.some(({ counter, limit }) => counter.count >= limit)) return false;
+    counters.forEach(({ counter }) => { counter.count += 1; });
+    return true;
+}
+
+setInterval(() => {
+    const now = Date.now();
+    optInLimitWindows.forEach((counter, key) => {
+        if (counter.resetAt <= now) optInLimitWindows.delete(key);
+    });
+    usedChallenges.forEach((expiresAt, challenge) => {
+        if (expiresAt <= now) usedChallenges.delete(challenge);
+    });
+}, SUBSCRIPTION_CHALLENGE_TTL_MS).unref();
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+function signChallenge(payload) {
+    return crypto.createHmac('sha256', SUBSCRIPTION_CHALLENGE_SECRET).update(payload).digest();
+}
+
+// "<expiresAt ms>.<random>.<signature>", so no challenge needs to be stored until it is spent
+function issueSubscriptionChallenge() {
+    const payload = `${Date.now() + SUBSCRIPTION_CHALLENGE_TTL_MS}.${crypto.randomBytes(16).toString('base64url')}`;
+    return `${payload}.${signChallenge(payload).toString('base64url')}`;
+}
+
+// Accepts a fresh, unspent challenge from this server whose sha256("<challenge>:<nonce>") starts
+// with SUBSCRIPTION_POW_BITS zero bits, and spends it
+function verifySubscriptionChallenge(challenge, nonce) {
+    if (SUBSCRIPTION_POW_BITS === 0) return true;
+    if (typeof challenge !== 'string' || !['string', 'number'].includes(typeof nonce) || String(nonce).length > 64) {
+        return false;
+    }
+
+    const [expiresAt, random, signature] = challenge.split('.');
+    if (!random || !signature) return false;
+    const expected = signChallenge(`${expiresAt}.${random}`);
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return false;
+    if (Number(expiresAt) <= Date.now() || usedChallenges.has(challenge)) return false;
+
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (leadingZeroBits(digest) < SUBSCRIPTION_POW_BITS) return false;
+
+    usedChallenges.set(challenge, Number(expiresAt));
+    return true;
+}
+
+// Public view of a subscription (no codes or tokens)
+function subscriptionSummary(subscription) {
+    return {
+        id: subscription._id,
+        state: subscription.stateCode,
+        district: subscription.districtName,
+        channel: subscription.channel,
+        locale: subscription.locale,
+        status: subscription.status
+    };
+}
+
+// Opt-in, step 0: a proof-of-work challenge to solve before asking for a code
+app.get('/api/subscriptions/challenge', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        challenge: issueSubscriptionChallenge(),
+        bits: SUBSCRIPTION_POW_BITS,
+        expiresAt: new Date(Date.now() + SUBSCRIPTION_CHALLENGE_TTL_MS).toISOString()
+    });
+});
+
+// Opt-in, step 1: { state, district, channel, contact, locale, challenge, nonce } -> a code is
+// sent to the contact
+app.post('/api/subscriptions', async (req, res) => {
+    try {
+        const { state, district, channel: channelName, contact, locale, challenge, nonce } = req.body || {};
+
+        if (typeof state !== 'string' || typeof district !== 'string' || !state || !district) {
+            return res.status(400).json({ error: apiMessage(req, 'api.stateDistrictRequired') });
+        }
+        const channel = notificationChannel(channelName);
+        if (!channel || !channel.configured()) {
+            return res.status(400).json({
+                error: apiMessage(req, 'api.subscription.invalidChannel'),
+                allowed: availableChannels()
+            });
+        }
+        const normalizedContact = typeof contact === 'string' ? channel.normalizeContact(contact) : '';
+        if (!channel.validContact(normalizedContact)) {
+            return res.status(400).json({ error: apiMessage(req, 'api.subscription.invalidContact') });
+        }
+        if (!verifySubscriptionChallenge(challenge, nonce)) {
+            return res.status(400).json({ error: apiMessage(req, 'api.subscription.challengeFailed') });
+        }
+
+        const districtDoc = await District.findOne({ stateCode: state, districtName: district, retired: { $ne: true } }).lean();
+        if (!districtDoc) {
+            return res.status(404).json({ error: apiMessage(req, 'api.subscription.unknownDistrict') });
+        }
+
+        const key = { channel: channelName, contact: normalizedContact, stateCode: districtDoc.stateCode, districtName: districtDoc.districtName };
+        let subscription = await Subscription.findOne(key);
+
+        if (subscription && subscription.status === 'active') {
+            return res.json({ ...subscriptionSummary(subscription), message: apiMessage(req, 'api.subscription.alreadyActive') });
+        }
+        if (subscription && subscription.status === 'pending' && subscription.optInSentAt > new Date(Date.now() - OPT_IN_RESEND_INTERVAL_MS)) {
+            return res.status(429).json({ error: apiMessage(req, 'api.subscription.tooSoon') });
+        }
+        const allowed = takeOptInAllowance([
+            [`ip:${req.ip}`, SUBSCRIPTION_DAILY_LIMIT_PER_IP],
+            [`contact:${normalizedContact}`, SUBSCRIPTION_DAILY_LIMIT_PER_CONTACT]
+        ]);
+        if (!allowed) {
+            return res.status(429).json({ error: apiMessage(req, 'api.subscription.dailyLimit') });
+        }
+        if (!subscription) {
+            subscription = new Subscription({ ...key, unsubscribeToken: crypto.randomBytes(24).toString('base64url') });
+        }
+
+        const code = String(crypto.randomInt(100000, 1000000));
+        subscription.set({
+            status: 'pending',
+            locale: LOCALES.includes(locale) ? locale : requestLocale(req),
+            optInCodeHash: hashToken(code).toString('hex'),
+            optInSentAt: new Date(),
+            optInExpiresAt: new Date(Date.now() + OPT_IN_CODE_TTL_MS),
+            optInAttempts: 0
+        });
+        await subscription.save();
+
+        try {
+            await channel.send(subscription.contact, optInMessage(subscription, districtDoc, code));
+        } catch (error) {
+            console.error(`Error sending opt-in code over ${channelName}:`, error.message);
+            // Let the contact retry straight away
+            await Subscription.updateOne({ _id: subscription._id }, { $unset: { optInSentAt: 1 } });
+            return res.status(502).json({ error: apiMessage(req, 'api.subscription.sendFailed') });
+        }
+
+        res.status(202).json({ ...subscriptionSummary(subscription), message: apiMessage(req, 'api.subscription.codeSent') });
+    } catch (error) {
+        console.error('Error creating subscription:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+// Opt-in, step 2: { code } from the message activates the subscription
+app.post('/api/subscriptions/:id/confirm', async (req, res) => {
+    try {
+        const code = String((req.body && req.body.code) || '').trim();
+
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: apiMessage(req, 'api.subscription.notFound') });
+        }
+        const subscription = await Subscription.findById(req.params.id);
+        if (!subscription) {
+            return res.status(404).json({ error: apiMessage(req, 'api.subscription.notFound') });
+        }
+        if (subscription.status === 'active') {
+            return res.json({ ...subscriptionSummary(subscription), message: apiMessage(req, 'api.subscription.alreadyActive') });
+        }
+        if (subscription.status !== 'pending' || !subscription.optInCodeHash) {
+            return res.status(400).json({ error: apiMessage(req, 'api.subscription.invalidCode') });
+        }
+        if (subscription.optInAttempts >= OPT_IN_MAX_ATTEMPTS) {
+            return res.status(429).json({ error: apiMessage(req, 'api.subscription.tooManyAttempts') });
+        }
+        if (subscription.optInExpiresAt < new Date()) {
+            return res.status(410).json({ error: apiMessage(req, 'api.subscription.codeExpired') });
+        }
+
+        if (!crypto.timingSafeEqual(hashToken(code), Buffer.from(subscription.optInCodeHash, 'hex'))) {
+            subscription.optInAttempts += 1;
+            await subscription.save();
+            return res.status(400).json({ error: apiMessage(req, 'api.subscription.invalidCode') });
+        }
+
+        subscription.set({
+            status: 'active',
+            optedInAt: new Date(),
+            optedOutAt: undefined,
+            optInCodeHash: undefined,
+            optInExpiresAt: undefined,
+            optInAttempts: 0
+        });
+        await subscription.save();
+
+        res.json({ ...subscriptionSummary(subscription), message: apiMessage(req, 'api.subscription.confirmed') });
+    } catch (error) {
+        console.error('Error confirming subscription:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+function renderUnsubscribePage(locale, heading, text) {
+    const bundle = LOCALE_BUNDLES[locale];
+    return `<!DOCTYPE html>
+<html lang="${escapeMarkup(bundle.meta.htmlLang || locale)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeMarkup(translate(locale, 'unsubscribe.title'))}</title>
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f5f5f5; color: #333; margin: 0; padding: 2rem 1rem; }
+    .card { max-width: 28rem; margin: 0 auto; background: white; border-top: 4px solid #ff6b35; border-radius: 12px; padding: 1.5rem; }
+    h1 { font-size: 1.3rem; margin: 0 0 0.75rem; }
+    p { line-height: 1.5; margin: 0 0 1rem; }
+    a { color: #ff6b35; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeMarkup(heading)}</h1>
+    <p>${escapeMarkup(text)}</p>
+    <a href="${escapeMarkup(`${PUBLIC_BASE_URL}/`)}">${escapeMarkup(translate(locale, 'unsubscribe.dashboard'))}</a>
+  </div>
+</body>
+</html>
+`;
+}
+
+// The GET link is opened from an SMS or email, so it answers with a short page in the
+// subscriber's language (or ?lang=); POST callers get JSON
+async function sendUnsubscribeResult(req, res, status, subscription, messageKey) {
+    if (req.method !== 'GET') {
+        const body = status === 200
+            ? { ...subscriptionSummary(subscription), message: apiMessage(req, messageKey) }
+            : { error: apiMessage(req, messageKey) };
+        return res.status(status).json(body);
+    }
+
+    const lang = String(req.query.lang || '').toLowerCase();
+    const locale = LOCALES.includes(lang) ? lang : subscription ? subscription.locale : requestLocale(req);
+    let heading = translate(locale, 'unsubscribe.title');
+    if (subscription) {
+        const district = await District.findOne({ stateCode: subscription.stateCode, districtName: subscription.districtName }).lean();
+        heading = (district ? districtLocalNames(district) : localNamesFromName(subscription.districtName))[locale];
+    }
+    res.status(status).type('html').send(renderUnsubscribePage(locale, heading, translate(locale, messageKey)));
+}
+
+// Opt-out link included in every alert (GET so it works straight from an SMS or email)
+async function unsubscribeByToken(req, res) {
+    try {
+        const token = String(req.query.token || (req.body && req.body.token) || '');
+        const subscription = token ? await Subscription.findOne({ unsubscribeToken: token }) : null;
+        if (!subscription) {
+            return sendUnsubscribeResult(req, res, 404, null, 'api.subscription.notFound');
+        }
+
+        if (subscription.status !== 'unsubscribed') {
+            subscription.set({ status: 'unsubscribed', optedOutAt: new Date(), optInCodeHash: undefined });
+            await subscription.save();
+        }
+
+        await sendUnsubscribeResult(req, res, 200, subscription, 'api.subscription.unsubscribed');
+    } catch (error) {
+        console.error('Error unsubscribing:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+}
+
+app.get('/api/subscriptions/unsubscribe', unsubscribeByToken);
+app.post('/api/subscriptions/unsubscribe', unsubscribeByToken);
+
+// Inbound webhook for gateway replies: { channel, from, text }. "STOP" opts the sender out of
+// every district on that channel.
+app.post('/api/subscriptions/inbound', async (req, res) => {
+    try {
+        const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+        if (!NOTIFY_WEBHOOK_TOKEN || !match ||
+            !crypto.timingSafeEqual(hashToken(match[1].trim()), hashToken(NOTIFY_WEBHOOK_TOKEN))) {
+            return res.status(401).json({ error: apiMessage(req, 'api.subscription.webhookTokenRequired') });
+        }
+
+        const { channel: channelName, from, text } = req.body || {};
+        const channel = notificationChannel(channelName);
+        if (!channel || typeof from !== 'string') {
+            return res.status(400).json({ error: apiMessage(req, 'api.subscription.inboundFieldsRequired') });
+        }
+        if (!OPT_OUT_KEYWORDS.test(String(text || ''))) {
+            return res.json({ unsubscribed: 0 });
+        }
+
+        const result = await Subscription.updateMany(
+            { channel: channelName, contact: channel.normalizeContact(from), status: { $ne: 'unsubscribed' } },
+            { $set: { status: 'unsubscribed', optedOutAt: new Date() }, $unset: { optInCodeHash: 1 } }
+        );
+        res.json({ unsubscribed: result.modifiedCount });
+    } catch (error) {
+        console.error('Error handling inbound message:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+app.get('/api/admin/subscriptions', async (req, res) => {
+    try {
+        const { state, district, status, channel } = req.query;
+        const filter = {};
+        if (state) filter.stateCode = state;
+        if (district) filter.districtName = district;
+        if (status) filter.status = status;
+        if (channel) filter.channel = channel;
+
+        const subscriptions = await Subscription.find(filter)
+            .select('-optInCodeHash -unsubscribeToken')
+            .sort({ createdAt: -1 })
+            .limit(MAX_AUDIT_RESULTS)
+            .lean();
+        res.json(subscriptions);
+    } catch (error) {
+        console.error('Error listing subscriptions:', error);
+        res.status(500).json({ error: apiMessage(req, 'api.internalError') });
+    }
+});
+
+
+// --- data.gov.in Ingestion Pipeline ---
+
+// Only one sync may run per process; the SyncLog check below covers other instances.
+let syncInProgress = false;
+
+const FIN_YEAR_MONTHS = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Strips everything except latin letters/digits, so "CHHATRAPATI SAMBHAJI NAGAR" and
+// "Chhatrapati Sambhajinagar" compare equal.
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Returns the English part of a seeded "हिन्दी (English)" name, or the name itself.
+function englishPart(name) {
+    const match = String(name || '').match(/\(([^)]+)\)/);
+    return match ? match[1] : name;
+}
+
+// Parses numeric fields from data.gov.in, which arrive as strings ("1,234", "NA", "").
+function parseApiNumber(value) {
+    if (value === null || value === undefined) return 0;
+    const num = parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(num) ? num : 0;
+}
+
+// data.gov.in reports a financial year ("2024-2025") and a short month ("Dec").
+// Apr-Dec belong to the first calendar year, Jan-Mar to the second.
+function parseFinYearMonth(finYear, month) {
+    const monthIndex = FIN_YEAR_MONTHS[String(month || '').slice(0, 3).toLowerCase()];
+    const startYear = parseInt(String(finYear || '').split('-')[0], 10);
+    if (monthIndex === undefined || !Number.isFinite(startYear)) return null;
+
+    const year = monthIndex >= 3 ? startYear : startYear + 1;
+    const date = new Date(year, monthIndex, 1);
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+// Maps one data.gov.in record onto the Performance schema (without identity fields).
+function mapApiRecord(record) {
+    const activeWorkers = parseApiNumber(record.Total_No_of_Active_Workers);
+    const persondays = parseApiNumber(record.Persondays_of_Central_Liability_so_far);
+    const womenPersondays = parseApiNumber(record.Women_Persondays);
+
+    return {
+        jobCardsIssued: parseApiNumber(record.Total_No_of_JobCards_issued),
+        householdsWorked: parseApiNumber(record.Total_Households_Worked),
+        activeWorkers: activeWorkers,
+        // The dataset publishes women persondays, not a head count, so apportion active workers by share.
+        womenWorkers: persondays > 0 ? Math.round(activeWorkers * womenPersondays / persondays) : 0,
+        scWorkers: parseApiNumber(record.SC_workers_against_active_workers),
+        stWorkers: parseApiNumber(record.ST_workers_against_active_workers),
+        avgDaysProvided: parseApiNumber(record.Average_days_of_employment_provided_per_Household),
+        totalPersondays: persondays,
+        avgWage: parseApiNumber(record.Average_Wage_rate_per_day_per_person),
+        // Total_Exp is reported in Rs. lakhs
+        totalExpenditure: parseFloat((parseApiNumber(record.Total_Exp) * 100000).toFixed(2)),
+        completedWorks: parseApiNumber(record.Number_of_Completed_Works),
+        ongoingWorks: parseApiNumber(record.Number_of_Ongoing_Works),
+        updatedAt: new Date(),
+        dataSource: 'data.gov.in'
+    };
+}
+
+// GET with exponential backoff on network errors, 429s and 5xx responses.
+async function fetchWithRetry(url, params) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await axios.get(url, { params, timeout: 30000 });
+            return response.data;
+        } catch (error) {
+            const status = error.response ? error.response.status : null;
+            const transient = !status || status === 429 || status >= 500;
+
+            if (!transient || attempt >= SYNC_MAX_RETRIES) throw error;
+
+            const delay = 1000 * Math.pow(2, attempt);
+            console.warn(`⚠️ Sync request failed (${status || error.code}), retrying in ${delay}ms...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// Pulls every page of the data.gov.in district dataset for one state.
+async function fetchStateRecords(stateName) {
+    const url = `${MGNREGA_API_BASE_URL.replace(/\/$/, '')}/${MGNREGA_RESOURCE_ID}`;
+    const records = [];
+    let offset = 0;
+
+    while (true) {
+        const params = {
+            format: 'json',
+            offset: offset,
+            limit: SYNC_PAGE_SIZE,
+            'filters[state_name]': stateName.toUpperCase()
+        };
+        if (DATA_GOV_API_KEY) params['api-key'] = DATA_GOV_API_KEY;
+
+        const data = await fetchWithRetry(url, params);
+        const page = (data && data.records) || [];
+        records.push(...page);
+
+        offset += page.length;
+        const total = parseInt(data && data.total, 10);
+        if (page.length < SYNC_PAGE_SIZE || (Number.isFinite(total) && offset >= total)) break;
+    }
+
+    return records;
+}
+
+// Map of stateCode -> { stateName, districts: Map(normalised English name -> seeded districtName) }
+// Former names map onto the current name, so renamed districts keep matching the source data.
+// Retired districts stay in the index (so they are not recreated) and are listed in `retired`.
+async function buildDistrictIndex() {
+    const districts = await District.find({});
+    const states = new Map();
+    districts.forEach(d => {
+        if (!states.has(d.stateCode)) states.set(d.stateCode, { stateName: d.stateName, districts: new Map(), retired: new Set() });
+        const state = states.get(d.stateCode);
+        (d.formerNames || []).forEach(name => state.districts.set(normalizeName(englishPart(name)), d.districtName));
+        state.districts.set(normalizeName(englishPart(d.districtName)), d.districtName);
+        if (d.retired) state.retired.add(d.districtName);
+    });
+    return states;
+}
+
+async function syncMGNREGAData() {
+    if (syncInProgress) {
+        console.log('⏭️ MGNREGA sync already running in this process. Skipping.');
+        return { skipped: true };
+    }
+
+    // Claimed before the first await, so the cron job and an admin trigger cannot both get past
+    // the check; everything after it runs inside the try so the finally always releases it
+    syncInProgress = true;
+
+    const counts = { recordsProcessed: 0, recordsInserted: 0, recordsUpdated: 0, recordsSkipped: 0 };
+    const unmatched = new Set();
+    const touchedRecords = [];
+    let syncLog = null;
+
+    try {
+        const running = await SyncLog.findOne({
+            status: 'started',
+            startedAt: { $gte: new Date(Date.now() - SYNC_STALE_AFTER_MS) }
+        });
+        if (running) {
+            console.log(`⏭️ MGNREGA sync started at ${running.startedAt.toISOString()} is still running. Skipping.`);
+            return { skipped: true };
+        }
+
+        syncLog = await SyncLog.create({ syncType: 'data.gov.in', status: 'started' });
+        console.log('🔄 Starting MGNREGA data sync from data.gov.in...');
+
+        const states = await buildDistrictIndex();
+
+        for (const [stateCode, state] of states) {
+            const records = await fetchStateRecords(englishPart(state.stateName));
+            const operations = [];
+
+            for (const record of records) {
+                counts.recordsProcessed++;
+
+                const districtName = state.districts.get(normalizeName(record.district_name));
+                const dataMonth = parseFinYearMonth(record.fin_year, record.month);
+
+                if (!districtName || !dataMonth || state.retired.has(districtName)) {
+                    counts.recordsSkipped++;
+                    if (!districtName) unmatched.add(record.district_name);
+                    continue;
+                }
+
+                operations.push({
+                    updateOne: {
+                        filter: { stateCode, districtName, dataMonth },
+                        update: { $set: mapApiRecord(record) },
+                        upsert: true
+                    }
+                });
+            }
+
+            if (operations.length > 0) {
+                const result = await Performance.bulkWrite(operations, { ordered: false });
+                counts.recordsInserted += result.upsertedCount;
+                counts.recordsUpdated += result.modifiedCount;
+                const touched = operations.map(op => op.updateOne.filter);
+                // Districts with block-level data keep their rolled-up figures
+                await rollUpPerformance(touched);
+                await checkDataQuality(touched);
+                await refreshAggregates(touched);
+                touchedRecords.push(...touched);
+            }
+            console.log(`   ${stateCode}: ${records.length} records fetched`);
+        }
+
+        await SyncLog.updateOne({ _id: syncLog._id }, {
+            ...counts,
+            status: 'success',
+            errorMessage: unmatched.size > 0 ? `Unmatched districts: ${[...unmatched].join(', ')}` : undefined,
+            completedAt: new Date()
+        });
+        console.log(`✅ MGNREGA sync completed: ${counts.recordsInserted} inserted, ${counts.recordsUpdated} updated, ${counts.recordsSkipped} skipped.`);
+
+        // A failed alert run must not mark the sync itself as failed
+        await notifySubscribers(touchedRecords).catch(error => console.error('❌ Alert notification failed:', error.message));
+        return counts;
+
+    } catch (error) {
+        console.error('❌ MGNREGA sync failed:', error.message);
+        if (syncLog) {
+            await SyncLog.updateOne({ _id: syncLog._id }, {
+                ...counts,
+                status: 'failed',
+                errorMessage: error.message,
+                completedAt: new Date()
+            });
+        }
+        throw error;
+    } finally {
+        syncInProgress = false;
+    }
+}
+
+if (RUN_AS_MAIN) {
+    cron.schedule(SYNC_CRON, () => {
+        syncMGNREGAData().catch(error => console.error('Scheduled sync error:', error.message));
+    }, { timezone: 'Asia/Kolkata' });
+}
+
+function formatDate(date) {
+    if (!date) return null;
+    return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+function formatMonth(date) {
+    if (!date) return null;
+    return new Date(date).toLocaleDateString('en-IN', { month: 'short', year: 'numeric' });
+}
+
+// Headline metrics shown on the dashboard cards, rounded the way the UI displays them
+function formatCurrentMetrics(record) {
+    return {
+        householdsWorked: record.householdsWorked,
+        activeWorkers: record.activeWorkers,
+        womenWorkers: record.womenWorkers,
+        avgDays: parseFloat(record.avgDaysProvided.toFixed(1)),
+        avgWage: parseFloat(record.avgWage.toFixed(2))
+    };
+}
+
+// Quality flags of a district, block or panchayat record as the API returns them
+function dataQualitySummary(record) {
+    const flags = record.qualityFlags || [];
+    return {
+        flagged: flags.length > 0,
+        flags: flags.map(({ code, severity, field, message }) => ({ code, severity, field, message }))
+    };
+}
+
+// Spend and works figures, each with the state's figure for the same month. The state spend is
+// the average district's; the state ratios are taken over state totals, so large districts
+// weigh in proportionally. Ratios without a denominator (no households, no works) are null.
+function buildFinanceMetrics(record, stateAvgData) {
+    const ratio = (numerator, denominator) => denominator > 0 ? numerator / denominator : null;
+    const percent = (numerator, denominator) => denominator > 0 ? numerator / denominator * 100 : null;
+    const round = (value, decimals) => value === null || value === undefined ? null : parseFloat(value.toFixed(decimals));
+    const figure = (value, stateValue, decimals) => ({
+        value: round(value, decimals),
+        stateAvg: round(stateValue, decimals),
+        position: value === null || stateValue === null || stateValue === undefined
+            ? null
+            : (value > stateValue ? 'above' : 'below')
+    });
+
+    const state = stateAvgData || {};
+    const totalWorks = record.completedWorks + record.ongoingWorks;
+
+    return {
+        totalExpenditure: figure(record.totalExpenditure, ratio(state.totalExpenditure, state.districtCount), 0),
+        perHousehold: figure(ratio(record.totalExpenditure, record.householdsWorked), ratio(state.totalExpenditure, state.totalHouseholds), 2),
+        perPersonday: figure(ratio(record.totalExpenditure, record.totalPersondays), ratio(state.totalExpenditure, state.totalPersondays), 2),
+        workCompletion: {
+            completed: record.completedWorks,
+            ongoing: record.ongoingWorks,
+            ...figure(percent(record.completedWorks, totalWorks), percent(state.totalCompletedWorks, state.totalCompletedWorks + state.totalOngoingWorks), 1)
+        },
+        jobCards: {
+            issued: record.jobCardsIssued,
+            householdsWorked: record.householdsWorked,
+            ...figure(percent(record.householdsWorked, record.jobCardsIssued), percent(state.totalHouseholds, state.totalJobCards), 1)
+        }
+    };
+}
+
+// Per-state averages and totals; shared by the materialised StateAggregate and its live fallback
+const STATE_AGGREGATE_GROUP = {
+    _id: null,
+    districtCount: { $sum: 1 },
+    avgHouseholds: { $avg: '$householdsWorked' },
+    avgActiveWorkers: { $avg: '$activeWorkers' },
+    avgWomenWorkers: { $avg: '$womenWorkers' },
+    avgAvgDays: { $avg: '$avgDaysProvided' },
+    avgAvgWage: { $avg: '$avgWage' },
+    totalHouseholds: { $sum: '$householdsWorked' },
+    totalPersondays: { $sum: '$totalPersondays' },
+    totalExpenditure: { $sum: '$totalExpenditure' },
+    totalJobCards: { $sum: '$jobCardsIssued' },
+    totalCompletedWorks: { $sum: '$completedWorks' },
+    totalOngoingWorks: { $sum: '$ongoingWorks' }
+};
+
+// Retired districts keep their records, but leave state averages, rankings and aggregates
+function retiredDistrictNames(stateCode) {
+    return District.distinct('districtName', { stateCode, retired: true });
+}
+
+// Average of every current district in a state for one month, or null when the month has no data
+async function getStateAverages(stateCode, dataMonth) {
+    const materialised = await StateAggregate.findOne({ stateCode, dataMonth }).lean();
+    if (materialised && materialised.totalJobCards !== undefined) return materialised;
+
+    // Not materialised yet (e.g. data written before aggregates existed), or materialised
+    // before the works totals were added: compute it live
+    const result = await Performance.aggregate([
+        {
+            $match: {
+                stateCode: stateCode,
+                dataMonth: dataMonth,
+                districtName: { $nin: await retiredDistrictNames(stateCode) }
+            }
+        },
+        { $group: STATE_AGGREGATE_GROUP }
+    ]);
+    return result.length > 0 ? result[0] : null;
+}
+
+// --- Monthly Series Helpers ---
+
+// Numeric Performance fields that can be plotted as a time series
+const HISTORY_METRICS = [
+    'householdsWorked', 'activeWorkers', 'womenWorkers', 'scWorkers', 'stWorkers',
+    'jobCardsIssued', 'avgDaysProvided', 'totalPersondays', 'avgWage',
+    'totalExpenditure', 'completedWorks', 'ongoingWorks'
+];
+const DEFAULT_HISTORY_MONTHS = 24;
+const MAX_HISTORY_MONTHS = 120;
+
+// "2024-03" -> Date for 1 March 2024, 00:00 local time (same convention as getCurrentMonthDate)
+function parseMonthParam(value) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(value));
+    if (!match) return null;
+    const month = parseInt(match[2], 10);
+    if (month < 1 || month > 12) return null;
+    return new Date(parseInt(match[1], 10), month - 1, 1);
+}
+
+function monthKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function monthsBetween(from, to) {
+    return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+}
+
+// Ranks all districts of a state on one metric for one month, highest value first.
+// Ties share a rank (1, 2, 2, 4). Records with an error-severity quality flag are not ranked
+// as fact: they come back in `unranked` with the codes of the failed checks.
+async function rankDistricts(stateCode, metric, dataMonth) {
+    const rows = await Performance.find({ stateCode, dataMonth, districtName: { $nin: await retiredDistrictNames(stateCode) } })
+        .select(`districtName ${metric} qualityFlags`)
+        .sort({ [metric]: -1, districtName: 1 })
+        .lean();
+
+    const errorCodes = row => (row.qualityFlags || []).filter(flag => flag.severity === 'error').map(flag => flag.code);
+    const ranked = rows.filter(row => errorCodes(row).length === 0);
+
+    let rank = 0;
+    return {
+        ranked: ranked.map((row, index) => {
+            if (index === 0 || row[metric] !== ranked[index - 1][metric]) rank = index + 1;
+            return { district: row.districtName, value: row[metric], rank };
+        }),
+        unranked: rows
+            .filter(row => errorCodes(row).length > 0)
+            .map(row => ({ district: row.districtName, value: row[metric], flags: errorCodes(row) }))
+    };
+}
+
+// Every district of a state ranked for one month, with percentile, quartile and the move since
+// the previous month. Districts left unranked by a failed data check are listed separately and
+// do not count towards total. Returns null when the month has no data.
+async function buildRankings(stateCode, metric, dataMonth) {
+    const previousMonth = new Date(dataMonth);
+    previousMonth.setMonth(previousMonth.getMonth() - 1);
+
+    const [current, previous] = await Promise.all([
+        rankDistricts(stateCode, metric, dataMonth),
+        rankDistricts(stateCode, metric, previousMonth)
+    ]);
+
+    if (current.ranked.length === 0 && current.unranked.length === 0) return null;
+
+    const previousRanks = new Map(previous.ranked.map(row => [row.district, row.rank]));
+    const total = current.ranked.length;
+
+    return {
+        month: monthKey(dataMonth),
+        label: formatMonth(dataMonth),
+        total,
+        rankings: current.ranked.map(row => {
+            const previousRank = previousRanks.has(row.district) ? previousRanks.get(row.district) : null;
+            return {
+                ...row,
+                // Share of the other districts this one is level with or ahead of
+                percentile: total > 1 ? Math.round((total - row.rank) / (total - 1) * 100) : 100,
+                // 1 = top quarter of the state: fewer than a quarter of its districts are ahead
+                quartile: Math.min(4, Math.floor((row.rank - 1) / total * 4) + 1),
+                previousRank,
+                // Positive = moved up since last month
+                rankChange: previousRank === null ? null : previousRank - row.rank
+            };
+        }),
+        unranked: current.unranked
+    };
+}
+
+// Fills in an optional from/to window: `to` defaults to the district's latest month with data
+// and `from` to defaultMonths months ending at `to`. Returns null when `to` is missing and the
+// district has no data.
+async function resolveMonthWindow(stateCode, districtName, fromDate, toDate, defaultMonths) {
+    let endDate = toDate;
+    if (!endDate) {
+        const latest = await Performance.findOne({ stateCode, districtName })
+            .sort({ dataMonth: -1 })
+            .select('dataMonth');
+        if (!latest) return null;
+        endDate = latest.dataMonth;
+    }
+
+    let startDate = fromDate;
+    if (!startDate) {
+        startDate = new Date(endDate);
+        startDate.setMonth(startDate.getMonth() - (defaultMonths - 1));
+    }
+    return { startDate, toDate: endDate };
+}
+
+// Returns one point per calendar month between from and to (inclusive).
+// Months without a Performance record are returned as gaps ({ value: null, gap: true }).
+async function buildMonthlySeries(stateCode, districtName, metric, from, to) {
+    const start = new Date(from.getFullYear(), from.getMonth(), 1);
+    const end = new Date(to.getFullYear(), to.getMonth(), 1);
+
+    const rows = await Performance.find({
+        stateCode,
+        districtName,
+        dataMonth: { $gte: start, $lte: end }
+    }).select(`dataMonth ${metric}`).lean();
+
+    const byMonth = new Map(rows.map(row => [monthKey(row.dataMonth), row[metric]]));
+    const series = [];
+
+    for (let cursor = new Date(start); cursor <= end; cursor.setMonth(cursor.getMonth() + 1)) {
+        const key = monthKey(cursor);
+        const value = byMonth.has(key) ? byMonth.get(key) : null;
+        series.push({
+            month: key,
+            label: formatMonth(cursor),
+            value,
+            gap: value === null
+        });
+    }
+
+    return series;
+}
+
+
+// --- Public API v1 ---
+// Versioned read-only surface for other organisations building on the data. Query parameters
+// are checked against each route's schema, every error has the same shape
+// ({ error: { code, message, details } }), lists are paginated, and requests are rate limited
+// per API key or per IP. /api/v1/openapi.json is generated from the same route definitions.
+// The unversioned /api/* routes above stay as they are for index.html.
+
+const V1_DEFAULT_PAGE_SIZE = 50;
+const V1_MAX_PAGE_SIZE = 200;
+const V1_MAX_NAME_LENGTH = 200;
+const PERFORMANCE_METRICS = Object.keys(performanceMetricFields);
+
+// Query parameters shared by several routes
+const V1_PARAMS = {
+    state: { type: 'string', pattern: /^[A-Z]{2}$/, description: 'State code, e.g. MH' },
+    district: { type: 'string', maxLength: V1_MAX_NAME_LENGTH, description: 'Canonical district name as listed by /districts, e.g. "पुणे (Pune)"' },
+    metric: { type: 'enum', values: HISTORY_METRICS, default: 'householdsWorked', description: 'Performance field' },
+    month: { type: 'month', description: 'Month (YYYY-MM); defaults to the latest month with data' },
+    from: { type: 'month', description: 'First month (YYYY-MM)' },
+    to: { type: 'month', description: 'Last month (YYYY-MM); defaults to the latest month with data' },
+    page: { type: 'integer', min: 1, default: 1, description: 'Page number, from 1' },
+    limit: { type: 'integer', min: 1, max: V1_MAX_PAGE_SIZE, default: V1_DEFAULT_PAGE_SIZE, description: 'Items per page' },
+    lang: { type: 'enum', values: LOCALES, description: 'Language of error messages (Accept-Language is used otherwise)' }
+};
+
+function requiredParam(param) {
+    return { ...param, required: true };
+}
+
+// Returns { values, details }: parsed values (with defaults) and one detail per problem.
+// Unknown and repeated parameters are rejected so typos do not silently fall back to defaults.
+function validateV1Query(schema, query) {
+    const values = {};
+    const details = [];
+
+    Object.keys(query).forEach(name => {
+        if (!schema[name]) details.push({ parameter: name, issue: 'unknown' });
+    });
+
+    Object.entries(schema).forEach(([name, rule]) => {
+        const raw = query[name];
+        if (raw === undefined || raw === '') {
+            if (rule.required) details.push({ parameter: name, issue: 'required' });
+            else if (rule.default !== undefined) values[name] = rule.default;
+            return;
+        }
+        if (typeof raw !== 'string') {
+            details.push({ parameter: name, issue: 'not_single_value' });
+            return;
+        }
+
+        if (rule.type === 'string') {
+            if (rule.maxLength && raw.length > rule.maxLength) {
+                details.push({ parameter: name, issue: 'too_long', max: rule.maxLength });
+            } else if (rule.pattern && !rule.pattern.test(raw)) {
+                details.push({ parameter: name, issue: 'invalid_format' });
+            } else {
+                values[name] = raw;
+            }
+        } else if (rule.type === 'enum') {
+            if (rule.values.includes(raw)) values[name] = raw;
+            else details.push({ parameter: name, issue: 'not_allowed', allowed: rule.values });
+        } else if (rule.type === 'integer') {
+            const number = /^\d+$/.test(raw) ? parseInt(raw, 10) : NaN;
+            if (Number.isNaN(number)) {
+                details.push({ parameter: name, issue: 'not_integer' });
+            } else if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                details.push({ parameter: name, issue: 'out_of_range', min: rule.min, max: rule.max });
+            } else {
+                values[name] = number;
+            }
+        } else if (rule.type === 'month') {
+            const month = parseMonthParam(raw);
+            if (month) values[name] = month;
+            else details.push({ parameter: name, issue: 'invalid_format', expected: 'YYYY-MM' });
+        }
+    });
+
+    return { values, details };
+}
+
+// Thrown by handlers for checks that span parameters or need the database (e.g. from after to)
+function v1ParameterError(details) {
+    return Object.assign(new Error('Invalid query parameters'), { details });
+}
+
+function sendV1Error(req, res, status, code, messageKey, extra = {}) {
+    res.status(status).json({ error: { code, message: apiMessage(req, messageKey, extra.params), ...(extra.details ? { details: extra.details } : {}) } });
+}
+
+// { items, total } for one page of an in-memory list
+function pageOf(list, { page, limit }) {
+    return { items: list.slice((page - 1) * limit, page * limit), total: list.length };
+}
+
+// Checks that a from/to window is ordered and not too long
+function checkMonthWindow(startDate, toDate) {
+    if (startDate > toDate) {
+        throw v1ParameterError([{ parameter: 'from', issue: 'after_to' }]);
+    }
+    if (monthsBetween(startDate, toDate) >= MAX_HISTORY_MONTHS) {
+        throw v1ParameterError([{ parameter: 'from', issue: 'range_too_long', maxMonths: MAX_HISTORY_MONTHS }]);
+    }
+}
+
+// Fixed-window request counters keyed by API key name or client IP
+const rateLimitWindows = new Map();
+
+function v1RateLimit(req, res, next) {
+    const apiKey = (req.get('x-api-key') || '').trim();
+    let client = `ip:${req.ip}`;
+    let limit = API_RATE_LIMIT_ANONYMOUS;
+
+    if (apiKey) {
+        const digest = hashToken(apiKey);
+        const match = PUBLIC_API_KEYS.find(candidate => crypto.timingSafeEqual(hashToken(candidate.token), digest));
+        if (!match) {
+            return sendV1Error(req, res, 401, 'invalid_api_key', 'api.v1.invalidApiKey');
+        }
+        client = `key:${match.name}`;
+        limit = API_RATE_LIMIT_KEYED;
+    }
+
+    const now = Date.now();
+    let counter = rateLimitWindows.get(client);
+    if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + API_RATE_LIMIT_WINDOW_MS };
+        rateLimitWindows.set(client, counter);
+    }
+    counter.count += 1;
+
+    const resetSeconds = Math.ceil((counter.resetAt - now) / 1000);
+    res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(Math.max(0, limit - counter.count)),
+        'RateLimit-Reset': String(resetSeconds)
+    });
+    if (counter.count > limit) {
+        res.set('Retry-After', String(resetSeconds));
+        return sendV1Error(req, res, 429, 'rate_limited', 'api.v1.rateLimited', { params: { seconds: resetSeconds } });
+    }
+    next();
+}
+
+setInterval(() => {
+    const now = Date.now();
+    rateLimitWindows.forEach((counter, client) => {
+        if (counter.resetAt <= now) rateLimitWindows.delete(client);
+    });
+}, API_RATE_LIMIT_WINDOW_MS).unref();
+
+const v1Router = express.Router();
+const V1_ROUTES = [];
+
+// OpenAPI is served before the rate limiter so tooling can always fetch it
+v1Router.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument());
+});
+v1Router.use(v1RateLimit);
+
+// Registers a GET route. handler(values, req) returns the resource, or null for a 404 with the
+// notFound message. Paginated handlers also get page/limit and return { items, total, meta }.
+function defineV1Route({ path: routePath, summary, description, query = {}, paginated = false, notFound = 'api.v1.notFound', handler }) {
+    const schema = {
+        ...query,
+        ...(paginated ? { page: V1_PARAMS.page, limit: V1_PARAMS.limit } : {}),
+        lang: V1_PARAMS.lang
+    };
+    V1_ROUTES.push({ path: routePath, summary, description, schema, paginated });
+
+    v1Router.get(routePath, async (req, res) => {
+        const startTime = Date.now();
+        const endpoint = `/api/v1${routePath}`;
+        const { values, details } = validateV1Query(schema, req.query);
+        if (details.length > 0) {
+            logRequest(req, endpoint, startTime, 400);
+            return sendV1Error(req, res, 400, 'invalid_parameters', 'api.v1.invalidParameters', { details });
+        }
+
+        try {
+            const result = await handler(values, req);
+            if (result === null) {
+                logRequest(req, endpoint, startTime, 404);
+                return sendV1Error(req, res, 404, 'not_found', notFound);
+            }
+
+            logRequest(req, endpoint, startTime, 200);
+            if (!paginated) return res.json({ data: result });
+
+            const { page, limit } = values;
+            res.json({
+                data: result.items,
+                ...(result.meta ? { meta: result.meta } : {}),
+                pagination: { page, limit, total: result.total, totalPages: Math.ceil(result.total / limit) }
+            });
+        } catch (error) {
+            if (error.details) {
+                logRequest(req, endpoint, startTime, 400);
+                return sendV1Error(req, res, 400, 'invalid_parameters', 'api.v1.invalidParameters', { details: error.details });
+            }
+            console.error(`Error in ${endpoint}:`, error);
+            logRequest(req, endpoint, startTime, 500, { errorMessage: error.message });
+            sendV1Error(req, res, 500, 'internal_error', 'api.internalError');
+        }
+    });
+}
+
+defineV1Route({
+    path: '/states',
+    summary: 'States and union territories',
+    paginated: true,
+    handler: async values => pageOf(await listStates(), values)
+});
+
+defineV1Route({
+    path: '/districts',
+    summary: 'Districts of a state',
+    description: 'Current (not retired) districts with their display names per language.',
+    query: { state: requiredParam(V1_PARAMS.state) },
+    paginated: true,
+    handler: async ({ state, page, limit }) => {
+        const filter = { stateCode: state, retired: { $ne: true } };
+        const [districts, total] = await Promise.all([
+            District.find(filter)
+                .select('districtName districtCode localNames')
+                .sort({ districtName: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            District.countDocuments(filter)
+        ]);
+        return {
+            items: districts.map(district => ({
+                district: district.districtName,
+                districtCode: district.districtCode || null,
+                names: districtLocalNames(district)
+            })),
+            total
+        };
+    }
+});
+
+defineV1Route({
+    path: '/district-data',
+    summary: "A district's latest month",
+    description: 'Same payload as the dashboard: current figures, finance and works, comparisons, state average, data quality and the last 12 months.',
+    query: { state: requiredParam(V1_PARAMS.state), district: requiredParam(V1_PARAMS.district) },
+    notFound: 'api.noDistrictData',
+    handler: async ({ state, district }) => {
+        const districtDoc = await District.findOne({ stateCode: state, districtName: district }).select('stateCode districtName retired').lean();
+        return districtDoc ? loadDistrictData(districtDoc) : null;
+    }
+});
+
+defineV1Route({
+    path: '/district-history',
+    summary: 'Monthly series of one metric',
+    description: `Defaults to the ${DEFAULT_HISTORY_MONTHS} months up to the latest month with data. Months without data are gaps (value null).`,
+    query: {
+        state: requiredParam(V1_PARAMS.state),
+        district: requiredParam(V1_PARAMS.district),
+        metric: V1_PARAMS.metric,
+        from: V1_PARAMS.from,
+        to: V1_PARAMS.to
+    },
+    notFound: 'api.noDistrictData',
+    handler: async ({ state, district, metric, from, to }) => {
+        const monthWindow = await resolveMonthWindow(state, district, from, to, DEFAULT_HISTORY_MONTHS);
+        if (!monthWindow) return null;
+        const { startDate, toDate } = monthWindow;
+        checkMonthWindow(startDate, toDate);
+
+        const series = await buildMonthlySeries(state, district, metric, startDate, toDate);
+        return { state, district, metric, from: monthKey(startDate), to: monthKey(toDate), series };
+    }
+});
+
+defineV1Route({
+    path: '/inclusion',
+    summary: 'Women, SC and ST share of active workers',
+    description: `Defaults to the ${DEFAULT_INCLUSION_MONTHS} months up to the latest month with data. womenBelowThreshold marks months where women were under one-third of workers.`,
+    query: {
+        state: requiredParam(V1_PARAMS.state),
+        district: requiredParam(V1_PARAMS.district),
+        from: V1_PARAMS.from,
+        to: V1_PARAMS.to
+    },
+    notFound: 'api.noDistrictData',
+    handler: async ({ state, district, from, to }) => {
+        const monthWindow = await resolveMonthWindow(state, district, from, to, DEFAULT_INCLUSION_MONTHS);
+        if (!monthWindow) return null;
+        checkMonthWindow(monthWindow.startDate, monthWindow.toDate);
+        return buildInclusion(state, district, monthWindow.startDate, monthWindow.toDate);
+    }
+});
+
+defineV1Route({
+    path: '/rankings',
+    summary: 'Districts of a state ranked on one metric',
+    description: 'Highest value first; ties share a rank. Districts whose record failed an error-level data quality check are not ranked; meta.unranked lists them with the failed check codes. meta also gives the month and the number of ranked districts.',
+    query: { state: requiredParam(V1_PARAMS.state), metric: V1_PARAMS.metric, month: V1_PARAMS.month },
+    paginated: true,
+    notFound: 'api.noMonthData',
+    handler: async ({ state, metric, month, page, limit }) => {
+        let dataMonth = month;
+        if (!dataMonth) {
+            const latest = await Performance.findOne({ stateCode: state }).sort({ dataMonth: -1 }).select('dataMonth');
+            if (!latest) return null;
+            dataMonth = latest.dataMonth;
+        }
+
+        const result = await buildRankings(state, metric, dataMonth);
+        if (!result) return null;
+        return {
+            ...pageOf(result.rankings, { page, limit }),
+            meta: { state, metric, month: result.month, label: result.label, total: result.total, unranked: result.unranked }
+        };
+    }
+});
+
+defineV1Route({
+    path: '/performance',
+    summary: 'Monthly performance records',
+    description: 'Raw monthly figures for every district of a state, or for one district, newest month first.',
+    query: {
+        state: requiredParam(V1_PARAMS.state),
+        district: V1_PARAMS.district,
+        from: V1_PARAMS.from,
+        to: V1_PARAMS.to
+    },
+    paginated: true,
+    handler: async ({ state, district, from, to, page, limit }) => {
+        if (from && to && from > to) {
+            throw v1ParameterError([{ parameter: 'from', issue: 'after_to' }]);
+        }
+
+        const filter = { stateCode: state };
+        if (district) filter.districtName = district;
+        if (from || to) {
+            filter.dataMonth = {};
+            if (from) filter.dataMonth.$gte = from;
+            if (to) filter.dataMonth.$lte = to;
+        }
+
+        const [records, total] = await Promise.all([
+            Performance.find(filter)
+                .sort({ dataMonth: -1, districtName: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Performance.countDocuments(filter)
+        ]);
+        return {
+            items: records.map(record => ({
+                state: record.stateCode,
+                district: record.districtName,
+                month: monthKey(record.dataMonth),
+                ...Object.fromEntries(PERFORMANCE_METRICS.map(metric => [metric, record[metric]])),
+                dataSource: record.dataSource,
+                updatedAt: record.updatedAt,
+                qualityFlags: (record.qualityFlags || []).map(({ code, severity, field, message }) => ({ code, severity, field, message }))
+            })),
+            total
+        };
+    }
+});
+
+// Anything else under /api/v1 gets a v1-shaped 404 rather than the static file handler's
+v1Router.use((req, res) => {
+    sendV1Error(req, res, 404, 'unknown_endpoint', 'api.v1.unknownEndpoint');
+});
+
+app.use('/api/v1', v1Router);
+
+// OpenAPI 3.0 description of the routes registered through defineV1Route()
+function buildOpenApiDocument() {
+    const parameterSchema = rule => {
+        if (rule.type === 'enum') return { type: 'string', enum: rule.values, default: rule.default };
+        if (rule.type === 'integer') return { type: 'integer', minimum: rule.min, maximum: rule.max, default: rule.default };
+        if (rule.type === 'month') return { type: 'string', pattern: '^\\d{4}-\\d{2}$', example: '2026-09' };
+        return { type: 'string', maxLength: rule.maxLength, pattern: rule.pattern ? rule.pattern.source : undefined };
+    };
+    const errorResponse = description => ({
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    });
+
+    const paths = {};
+    V1_ROUTES.forEach(route => {
+        paths[route.path] = {
+            get: {
+                summary: route.summary,
+                description: route.description,
+                parameters: Object.entries(route.schema).map(([name, rule]) => ({
+                    name,
+                    in: 'query',
+                    required: Boolean(rule.required),
+                    description: rule.description,
+                    schema: parameterSchema(rule)
+                })),
+                responses: {
+                    200: {
+                        description: 'OK',
+                        content: {
+                            'application/json': {
+                                schema: { $ref: route.paginated ? '#/components/schemas/Page' : '#/components/schemas/Resource' }
+                            }
+                        }
+                    },
+                    400: errorResponse('Invalid query parameters (details lists each problem)'),
+                    401: errorResponse('Unknown API key'),
+                    404: errorResponse('No data'),
+                    429: errorResponse('Rate limit exceeded; see the Retry-After and RateLimit-* headers'),
+                    500: errorResponse('Internal error')
+                }
+            }
+        };
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'MGNREGA District Tracker API',
+            version: '1.0.0',
+            description: `Read-only MGNREGA district performance data. Without an API key, each IP may make ${API_RATE_LIMIT_ANONYMOUS} requests per ${API_RATE_LIMIT_WINDOW_MS / 1000} seconds; with one, ${API_RATE_LIMIT_KEYED}.`
+        },
+        servers: [{ url: `${PUBLIC_BASE_URL}/api/v1` }],
+        security: [{}, { ApiKey: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            },
+            schemas: {
+                Resource: {
+                    type: 'object',
+                    required: ['data'],
+                    properties: { data: { type: 'object' } }
+                },
+                Page: {
+                    type: 'object',
+                    required: ['data', 'pagination'],
+                    properties: {
+                        data: { type: 'array', items: { type: 'object' } },
+                        meta: { type: 'object' },
+                        pagination: {
+                            type: 'object',
+                            properties: {
+                                page: { type: 'integer' },
+                                limit: { type: 'integer' },
+                                total: { type: 'integer' },
+                                totalPages: { type: 'integer' }
+                            }
+                        }
+                    }
+                },
+                Error: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: {
+                        error: {
+                            type: 'object',
+                            required: ['code', 'message'],
+                            properties: {
+                                code: {
+                                    type: 'string',
+                                    enum: ['invalid_parameters', 'invalid_api_key', 'not_found', 'unknown_endpoint', 'rate_limited', 'internal_error']
+                                },
+                                message: { type: 'string' },
+                                details: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            parameter: { type: 'string' },
+                                            issue: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+
+// --- Bulk Historical Importer ---
+// Usage: node server.js import <file.csv|file.json> [more files...]
+// Accepts data.gov.in exports (fin_year, month, state_name, district_name, Total_Households_Worked, ...)
+// as well as rows shaped like the Performance schema (stateCode, districtName, dataMonth, householdsWorked, ...).
+// Rows with a blockName (and optionally a panchayatName) are stored at that level and rolled up.
+
+const IMPORT_BATCH_SIZE = 1000;
+const IMPORT_MAX_REPORTED_REJECTIONS = 20;
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and embedded newlines.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) return [];
+    const keys = header.map(key => key.trim().replace(/^\uFEFF/, ''));
+    return body.map(values => Object.fromEntries(keys.map((key, index) => [key, values[index]])));
+}
+
+function readImportFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+
+    if (path.extname(file).toLowerCase() === '.json') {
+        const parsed = JSON.parse(text);
+        // data.gov.in dumps wrap rows in { records: [...] }
+        const rows = Array.isArray(parsed) ? parsed : parsed.records;
+        if (!Array.isArray(rows)) throw new Error('JSON file must contain an array of rows or a { records: [...] } object');
+        return rows;
+    }
+    return parseCsv(text);
+}
+
+// Key for matching block/panchayat names: the English part when there is one, else the name itself
+function areaKey(name) {
+    return normalizeName(englishPart(name)) || String(name).trim().toLowerCase();
+}
+
+// Map of "stateCode|districtName" -> { blocks: Map(key -> blockName), panchayats: Map("blockName|key" -> panchayatName) }
+async function buildAreaIndex() {
+    const [blocks, panchayats] = await Promise.all([
+        Block.find({}).select('stateCode districtName blockName').lean(),
+        Panchayat.find({}).select('stateCode districtName blockName panchayatName').lean()
+    ]);
+    const index = new Map();
+    blocks.forEach(b => areaIndexEntry(index, b.stateCode, b.districtName).blocks.set(areaKey(b.blockName), b.blockName));
+    panchayats.forEach(p => areaIndexEntry(index, p.stateCode, p.districtName).panchayats.set(`${p.blockName}|${areaKey(p.panchayatName)}`, p.panchayatName));
+    return index;
+}
+
+function areaIndexEntry(index, stateCode, districtName) {
+    const key = `${stateCode}|${districtName}`;
+    if (!index.has(key)) index.set(key, { blocks: new Map(), panchayats: new Map() });
+    return index.get(key);
+}
+
+// Schema-style rows may give the month as "2024-03", "2024-03-01" or a full ISO date.
+function parseImportMonth(row) {
+    if (row.fin_year && row.month) return parseFinYearMonth(row.fin_year, row.month);
+
+    const value = row.dataMonth || row.month;
+    if (!value) return null;
+    const monthPrefix = String(value).trim().slice(0, 7);
+    return parseMonthParam(monthPrefix);
+}
+
+// Validates one row and maps it onto { filter, update } for the Performance upsert (or the
+// BlockPerformance/PanchayatPerformance upsert when the row names a block or panchayat).
+// Throws an Error with a human readable reason for rejected rows.
+function mapImportRow(row, states, newDistricts, areaIndex, newAreas) {
+    const stateValue = String(row.stateCode || row.state_code || row.state_name || row.stateName || '').trim();
+    const districtValue = String(row.districtName || row.district_name || '').trim();
+    const blockValue = String(row.blockName || row.block_name || '').trim();
+    const panchayatValue = String(row.panchayatName || row.panchayat_name || row.gp_name || '').trim();
+    if (!stateValue) throw new Error('missing state');
+    if (!districtValue) throw new Error('missing district');
+    if (panchayatValue && !blockValue) throw new Error('missing block for panchayat');
+
+    // Resolve the state by code first, then by (English) name
+    let stateCode = states.has(stateValue.toUpperCase()) ? stateValue.toUpperCase() : null;
+    if (!stateCode) {
+        const wanted = normalizeName(englishPart(stateValue));
+        stateCode = [...states.keys()].find(code => normalizeName(englishPart(states.get(code).stateName)) === wanted) || null;
+    }
+    if (!stateCode) throw new Error(`unknown state '${stateValue}'`);
+
+    // Normalise to the seeded "हिन्दी (English)" name. New districts are only accepted in that format.
+    const state = states.get(stateCode);
+    const key = normalizeName(englishPart(districtValue));
+    let districtName = state.districts.get(key);
+    const isNewDistrict = !districtName;
+    if (isNewDistrict) {
+        if (!/^[^()]+\s\([^()]+\)$/.test(districtValue) || !key) {
+            throw new Error(`unknown district '${districtValue}' (new districts must use the "हिन्दी (English)" format)`);
+        }
+        districtName = districtValue;
+    }
+    if (state.retired.has(districtName)) throw new Error(`district '${districtName}' is retired`);
+
+    // Match blocks and panchayats already known in this district; anything else is new
+    const areas = areaIndexEntry(areaIndex, stateCode, districtName);
+    const blockKey = blockValue ? areaKey(blockValue) : null;
+    const blockName = blockValue ? areas.blocks.get(blockKey) || blockValue : null;
+    const panchayatKey = panchayatValue ? `${blockName}|${areaKey(panchayatValue)}` : null;
+    const panchayatName = panchayatValue ? areas.panchayats.get(panchayatKey) || panchayatValue : null;
+
+    const dataMonth = parseImportMonth(row);
+    if (!dataMonth) throw new Error('missing or invalid month');
+
+    const isDataGovRow = row.Total_Households_Worked !== undefined || row.fin_year !== undefined;
+    const fields = isDataGovRow ? mapApiRecord(row) : {};
+    if (!isDataGovRow) {
+        HISTORY_METRICS.forEach(metric => {
+            if (row[metric] !== undefined && row[metric] !== '') fields[metric] = parseApiNumber(row[metric]);
         });
+        fields.updatedAt = new Date();
+    }
+
+    for (const metric of HISTORY_METRICS) {
+        const value = isDataGovRow ? fields[metric] : row[metric];
+        if (value === undefined || value === '') continue;
+        const num = parseFloat(String(value).replace(/,/g, ''));
+        if (!Number.isFinite(num)) throw new Error(`${metric} is not a number ('${value}')`);
+        if (num < 0) throw new Error(`${metric} must not be negative`);
+    }
+    if (Object.keys(fields).length <= 1) throw new Error('row has no metric values');
+
+    // Only register a new district once the whole row has validated
+    if (isNewDistrict) {
+        state.districts.set(key, districtName);
+        newDistricts.push({ stateCode, stateName: state.stateName, districtName, localNames: localNamesFromName(districtName) });
+    }
+    if (blockName && !areas.blocks.has(blockKey)) {
+        areas.blocks.set(blockKey, blockName);
+        newAreas.blocks.push({ stateCode, districtName, blockName });
+    }
+    if (panchayatName && !areas.panchayats.has(panchayatKey)) {
+        areas.panchayats.set(panchayatKey, panchayatName);
+        newAreas.panchayats.push({ stateCode, districtName, blockName, panchayatName });
+    }
+
+    const filter = { stateCode, districtName, dataMonth };
+    if (blockName) filter.blockName = blockName;
+    if (panchayatName) filter.panchayatName = panchayatName;
+    return { filter, update: fields };
+}
+
+function importModelFor(filter) {
+    if (filter.panchayatName) return PanchayatPerformance;
+    return filter.blockName ? BlockPerformance : Performance;
+}
+
+async function importFile(file, states, areaIndex) {
+    const report = {
+        file, rows: 0, inserted: 0, updated: 0, unchanged: 0, rejected: 0, flagged: 0, rolledUp: 0,
+        newDistricts: 0, newBlocks: 0, newPanchayats: 0, rejections: []
+    };
+    const rows = readImportFile(file);
+    const dataSource = `import:${path.basename(file)}`;
+    const newDistricts = [];
+    const newAreas = { blocks: [], panchayats: [] };
+    const operations = [];
+
+    rows.forEach((row, index) => {
+        report.rows++;
+        try {
+            const { filter, update } = mapImportRow(row, states, newDistricts, areaIndex, newAreas);
+            operations.push({
+                updateOne: {
+                    filter,
+                    update: { $set: { ...update, dataSource } },
+                    upsert: true
+                }
+            });
+        } catch (error) {
+            report.rejected++;
+            // +2: one for the header line, one because rows are 1-based
+            report.rejections.push(`row ${index + 2}: ${error.message}`);
+        }
+    });
+
+    if (newDistricts.length > 0) {
+        await District.insertMany(newDistricts, { ordered: false });
+        invalidateDistrictSearchIndex();
+        report.newDistricts = newDistricts.length;
+    }
+    if (newAreas.blocks.length > 0) {
+        await Block.insertMany(newAreas.blocks, { ordered: false });
+        report.newBlocks = newAreas.blocks.length;
+    }
+    if (newAreas.panchayats.length > 0) {
+        await Panchayat.insertMany(newAreas.panchayats, { ordered: false });
+        report.newPanchayats = newAreas.panchayats.length;
+    }
+
+    for (const Model of [Performance, BlockPerformance, PanchayatPerformance]) {
+        const modelOperations = operations.filter(op => importModelFor(op.updateOne.filter) === Model);
+        for (let i = 0; i < modelOperations.length; i += IMPORT_BATCH_SIZE) {
+            const result = await Model.bulkWrite(modelOperations.slice(i, i + IMPORT_BATCH_SIZE), { ordered: false });
+            report.inserted += result.upsertedCount;
+            report.updated += result.modifiedCount;
+            report.unchanged += result.matchedCount - result.modifiedCount;
+        }
+    }
+
+    if (operations.length > 0) {
+        const written = operations.map(op => op.updateOne.filter);
+        const rolledUp = await rollUpPerformance(written);
+        report.rolledUp = rolledUp.length;
+
+        // Written panchayat rows may have rolled up into their block, so both levels are re-checked
+        const touched = [...written.filter(filter => !filter.blockName), ...rolledUp];
+        report.flagged = await checkDataQuality(touched) +
+            await checkDataQuality(written.filter(filter => filter.blockName), QUALITY_LEVELS.block) +
+            await checkDataQuality(written.filter(filter => filter.panchayatName), QUALITY_LEVELS.panchayat);
+        await refreshAggregates(touched);
+    }
+
+    return report;
+}
+
+function printImportReport(report) {
+    console.log(`\n📄 ${report.file}`);
+    console.log(`   rows: ${report.rows} | inserted: ${report.inserted} | updated: ${report.updated} | unchanged: ${report.unchanged} | rejected: ${report.rejected}`);
+    if (report.newDistricts > 0) console.log(`   new districts: ${report.newDistricts}`);
+    if (report.newBlocks > 0 || report.newPanchayats > 0) {
+        console.log(`   new blocks: ${report.newBlocks} | new panchayats: ${report.newPanchayats}`);
+    }
+    if (report.rolledUp > 0) console.log(`   district months rolled up from blocks: ${report.rolledUp}`);
+    if (report.flagged > 0) console.log(`   ⚠️ records with data quality flags: ${report.flagged}`);
+    report.rejections.slice(0, IMPORT_MAX_REPORTED_REJECTIONS).forEach(reason => console.log(`   ✗ ${reason}`));
+    if (report.rejections.length > IMPORT_MAX_REPORTED_REJECTIONS) {
+        console.log(`   ... and ${report.rejections.length - IMPORT_MAX_REPORTED_REJECTIONS} more rejected rows`);
+    }
+}
+
+async function runImportCommand(files) {
+    if (files.length === 0) {
+        console.error('Usage: node server.js import <file.csv|file.json> [more files...]');
+        process.exit(1);
+    }
+
+    let failed = false;
+    try {
+        // District names are normalised against the seeded registry
+        const states = await buildDistrictIndex();
+        if (states.size === 0) {
+            throw new Error('No districts found. Start the server once to seed the district registry.');
+        }
+        const areaIndex = await buildAreaIndex();
+
+        for (const file of files) {
+            try {
+                printImportReport(await importFile(file, states, areaIndex));
+            } catch (error) {
+                failed = true;
+                console.error(`\n❌ ${file}: ${error.message}`);
+            }
+        }
+    } catch (error) {
+        failed = true;
+        console.error('❌ Import failed:', error);
+    }
+
+    await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+}
+
+
+// --- Synthetic Data Generator ---
+// Usage: node server.js generate [--seed demo] [--years 3] [--states MH,RJ] [--end 2025-03] [--out dir] [--overwrite]
+// Builds monthly district history that is repeatable from the seed: a district's figures for a
+// month depend only on (seed, state, district, month), so any window or subset of states gives
+// the same numbers. Written to MongoDB (missing months only, unless --overwrite) or, with --out,
+// to one <stateCode>.json fixture per state in the importer's row format.
+
+// Profiles describe each district as of this month; trends run forwards and backwards from it
+const SYNTHETIC_REFERENCE_MONTH = new Date(2024, 3, 1);
+// Work demand by calendar month: lean-season peak before the monsoon, lowest during kharif work
+const SYNTHETIC_SEASONALITY = [1.05, 1.15, 1.25, 1.35, 1.45, 1.3, 0.85, 0.7, 0.65, 0.7, 0.8, 0.95];
+// Yearly rise in the notified wage rate
+const SYNTHETIC_WAGE_GROWTH = 0.05;
+// Works are pushed to completion before the financial year closes in March
+const SYNTHETIC_MARCH_COMPLETION_BOOST = 1.4;
+
+// FNV-1a hash of the joined parts, used to seed one random stream per district or district-month
+function hashSeed(parts) {
+    const text = parts.join('|');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
-});
-app.get('/api/health', async (req, res) => {
+    return hash >>> 0;
+}
+
+// mulberry32; returns a function yielding floats in [0, 1)
+function seededRandom(...parts) {
+    let state = hashSeed(parts);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomBetween(random, min, max) {
+    return min + random() * (max - min);
+}
+
+// Fixed characteristics of a district. Ranges are kept narrow enough that the peer and
+// history outlier checks rarely fire on generated data.
+function syntheticDistrictProfile(seed, stateCode, districtName) {
+    const random = seededRandom(seed, stateCode, districtName);
+    return {
+        households: randomBetween(random, 45000, 95000),
+        jobCardRatio: randomBetween(random, 1.6, 2.2),
+        activeShare: randomBetween(random, 0.75, 0.93),
+        womenShare: randomBetween(random, 0.3, 0.7),
+        scShare: randomBetween(random, 0.05, 0.25),
+        stShare: randomBetween(random, 0.02, 0.3),
+        annualGrowth: randomBetween(random, -0.03, 0.06),
+        seasonality: randomBetween(random, 0.6, 1),
+        avgDays: randomBetween(random, 38, 52),
+        wage: randomBetween(random, 250, 320),
+        materialShare: randomBetween(random, 0.25, 0.38),
+        completedPerThousand: randomBetween(random, 8, 16),
+        ongoingPerThousand: randomBetween(random, 4, 9)
+    };
+}
+
+// One month of figures. Related fields are derived from each other so the record passes the
+// data quality rules: women, SC and ST <= active workers <= households <= job cards,
+// persondays ~ households x average days, expenditure = wages / (1 - material share).
+function syntheticMonthMetrics(profile, seed, stateCode, districtName, dataMonth) {
+    const random = seededRandom(seed, stateCode, districtName, monthKey(dataMonth));
+    const jitter = spread => 1 + randomBetween(random, -spread, spread);
+    const years = monthsBetween(SYNTHETIC_REFERENCE_MONTH, dataMonth) / 12;
+    const trend = Math.pow(1 + profile.annualGrowth, years);
+    const season = 1 + profile.seasonality * (SYNTHETIC_SEASONALITY[dataMonth.getMonth()] - 1);
+    const thousands = profile.households / 1000 * trend;
+
+    const householdsWorked = Math.round(profile.households * trend * season * jitter(0.05));
+    const activeWorkers = Math.round(householdsWorked * profile.activeShare * jitter(0.03));
+    const avgDaysProvided = parseFloat((profile.avgDays * (1 + 0.15 * (season - 1)) * jitter(0.04)).toFixed(1));
+    const totalPersondays = Math.round(householdsWorked * avgDaysProvided);
+    const avgWage = parseFloat((profile.wage * Math.pow(1 + SYNTHETIC_WAGE_GROWTH, years) * jitter(0.005)).toFixed(2));
+    const marchBoost = dataMonth.getMonth() === 2 ? SYNTHETIC_MARCH_COMPLETION_BOOST : 1;
+
+    return {
+        jobCardsIssued: Math.round(profile.households * profile.jobCardRatio * trend),
+        householdsWorked,
+        activeWorkers,
+        womenWorkers: Math.round(activeWorkers * profile.womenShare * jitter(0.04)),
+        scWorkers: Math.round(activeWorkers * profile.scShare * jitter(0.05)),
+        stWorkers: Math.round(activeWorkers * profile.stShare * jitter(0.05)),
+        avgDaysProvided,
+        totalPersondays,
+        avgWage,
+        totalExpenditure: parseFloat((totalPersondays * avgWage / (1 - profile.materialShare)).toFixed(2)),
+        completedWorks: Math.round(thousands * profile.completedPerThousand * marchBoost * jitter(0.1)),
+        ongoingWorks: Math.round(thousands * profile.ongoingPerThousand * (1 + 0.2 * (season - 1)) * jitter(0.05))
+    };
+}
+
+// Performance-shaped rows for `months` months up to and including endMonth, oldest first
+function generateSyntheticRecords(districts, { seed, months, endMonth }) {
+    const records = [];
+    districts.forEach(({ stateCode, districtName }) => {
+        const profile = syntheticDistrictProfile(seed, stateCode, districtName);
+        for (let offset = months - 1; offset >= 0; offset--) {
+            const dataMonth = new Date(endMonth.getFullYear(), endMonth.getMonth() - offset, 1);
+            records.push({ stateCode, districtName, dataMonth, ...syntheticMonthMetrics(profile, seed, stateCode, districtName, dataMonth) });
+        }
+    });
+    return records;
+}
+
+// Upserts the records, then re-checks quality and rebuilds aggregates for the months written.
+// Existing records (synced, imported or generated earlier) are left alone unless overwrite is set.
+async function writeSyntheticRecords(records, { seed, overwrite = false }) {
+    const result = { inserted: 0, updated: 0, flagged: 0 };
+    const dataSource = `synthetic:${seed}`;
+    const operations = records.map(({ stateCode, districtName, dataMonth, ...metrics }) => ({
+        updateOne: {
+            filter: { stateCode, districtName, dataMonth },
+            update: { [overwrite ? '$set' : '$setOnInsert']: { ...metrics, dataSource, updatedAt: new Date() } },
+            upsert: true
+        }
+    }));
+
+    for (let i = 0; i < operations.length; i += IMPORT_BATCH_SIZE) {
+        const written = await Performance.bulkWrite(operations.slice(i, i + IMPORT_BATCH_SIZE), { ordered: false });
+        result.inserted += written.upsertedCount;
+        result.updated += written.modifiedCount;
+    }
+
+    if (result.inserted + result.updated > 0) {
+        const touched = [...new Map(records.map(({ stateCode, dataMonth }) =>
+            [`${stateCode}|${monthKey(dataMonth)}`, { stateCode, dataMonth }])).values()];
+        result.flagged = await checkDataQuality(touched);
+        await refreshAggregates(touched);
+    }
+    return result;
+}
+
+// One <stateCode>.json per state, loadable with `node server.js import <dir>/*.json`
+function writeSyntheticFixtures(records, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const byState = new Map();
+    records.forEach(({ stateCode, districtName, dataMonth, ...metrics }) => {
+        if (!byState.has(stateCode)) byState.set(stateCode, []);
+        byState.get(stateCode).push({ stateCode, districtName, dataMonth: monthKey(dataMonth), ...metrics });
+    });
+
+    return [...byState].map(([stateCode, rows]) => {
+        const file = path.join(outDir, `${stateCode}.json`);
+        fs.writeFileSync(file, `${JSON.stringify(rows, null, 2)}\n`);
+        return { file, rows: rows.length };
+    });
+}
+
+// "--years 3 --out=fixtures --overwrite" -> { years: '3', out: 'fixtures', overwrite: true }
+function parseCommandFlags(args) {
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(args[i]);
+        if (!match) throw new Error(`unexpected argument '${args[i]}'`);
+        if (match[2] !== undefined) flags[match[1]] = match[2];
+        else if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) flags[match[1]] = args[++i];
+        else flags[match[1]] = true;
+    }
+    return flags;
+}
+
+async function runGenerateCommand(args) {
+    let failed = false;
     try {
-        await mongoose.connection.db.admin().ping();
-        res.json({ 
-            status: 'healthy', 
-            database: 'connected',
-            timestamp: new Date().toISOString()
+        const flags = parseCommandFlags(args);
+        const seed = flags.seed !== undefined ? String(flags.seed) : DEMO_SEED;
+        const years = flags.years !== undefined ? parseInt(flags.years, 10) : DEMO_YEARS;
+        const endMonth = flags.end !== undefined ? parseMonthParam(String(flags.end)) : getCurrentMonthDate();
+        const stateCodes = flags.states ? String(flags.states).split(',').map(code => code.trim().toUpperCase()).filter(Boolean) : SEED_STATES;
+
+        if (!Number.isInteger(years) || years < 1) throw new Error('--years must be a positive whole number');
+        if (!endMonth) throw new Error('--end must be in YYYY-MM format');
+        const unknown = stateCodes.filter(code => !getRegistryState(code));
+        if (unknown.length > 0) throw new Error(`unknown state code(s): ${unknown.join(', ')}`);
+
+        // Fixtures cover the registry's districts; the database run covers the seeded ones
+        // (including districts added or renamed by an admin)
+        const districts = flags.out
+            ? stateCodes.flatMap(code => getRegistryState(code).districts.map(district => ({ stateCode: code, districtName: registryDistrictName(district) })))
+            : await District.find({ stateCode: { $in: stateCodes }, retired: { $ne: true } }).select('stateCode districtName').lean();
+        if (districts.length === 0) {
+            throw new Error('No districts found. Start the server once to seed the district registry, or use --out.');
+        }
+
+        const records = generateSyntheticRecords(districts, { seed, months: years * 12, endMonth });
+        console.log(`🎲 Generated ${records.length} records for ${districts.length} districts (seed '${seed}', ${years} year${years === 1 ? '' : 's'} to ${monthKey(endMonth)})`);
+
+        if (flags.out) {
+            writeSyntheticFixtures(records, String(flags.out)).forEach(({ file, rows }) => console.log(`   ${file}: ${rows} rows`));
+        } else {
+            const result = await writeSyntheticRecords(records, { seed, overwrite: flags.overwrite === true });
+            console.log(`   inserted: ${result.inserted} | updated: ${result.updated} | flagged: ${result.flagged}`);
+        }
+    } catch (error) {
+        failed = true;
+        console.error('❌ Generating synthetic data failed:', error.message);
+        console.error('Usage: node server.js generate [--seed demo] [--years 3] [--states MH,RJ] [--end YYYY-MM] [--out dir] [--overwrite]');
+    }
+
+    if (mongoose.connection.readyState !== 0) await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+}
+
+
+// --- Localization ---
+
+// Looks a message up in the locale's bundle (falling back to English) and fills in {placeholders}
+function translate(locale, key, params = {}) {
+  const bundle = LOCALE_BUNDLES[locale] || LOCALE_BUNDLES[DEFAULT_LOCALE];
+  const template = bundle.messages[key] ?? LOCALE_BUNDLES[DEFAULT_LOCALE].messages[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Language for API messages: ?lang= first, then Accept-Language, then English.
+// Without ?lang= the response depends on the header, so shared caches must key on it.
+function requestLocale(req) {
+  const lang = String(req.query.lang || '').toLowerCase();
+  if (LOCALES.includes(lang)) return lang;
+  if (req.res) req.res.vary('Accept-Language');
+  if (!req.get('accept-language')) return DEFAULT_LOCALE;
+  return req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE;
+}
+
+function apiMessage(req, key, params) {
+  return translate(requestLocale(req), key, params);
+}
+
+// Reader-facing text of a data quality flag, keyed on its code. The stored message is an
+// English note for admins that names the raw field.
+function qualityFlagText(flag, locale) {
+  return translate(locale, `quality.${flag.code}`, { metric: translate(locale, `quality.field.${flag.field}`) });
+}
+
+const DEVANAGARI_DIGITS = '०१२३४५६७८९';
+
+// Rewrites 0-9 as Devanagari digits for locales whose bundle asks for them (meta.digits: "deva")
+function localizeDigits(text, locale) {
+  const bundle = LOCALE_BUNDLES[locale];
+  if (!bundle || bundle.meta.digits !== 'deva') return text;
+  return String(text).replace(/[0-9]/g, digit => DEVANAGARI_DIGITS[digit]);
+}
+
+// { hi, en, mr } for a "हिन्दी (English)" name; Marathi falls back to the Hindi (Devanagari) form
+function localNamesFromName(name) {
+  const hi = String(name).replace(/\s*\([^()]*\)\s*$/, '').trim();
+  return { hi, en: englishPart(name), mr: hi };
+}
+
+function registryLocalNames(entry) {
+  return { hi: entry.hi, en: entry.en, mr: entry.mr || entry.hi };
+}
+
+// Stored display names, derived from the canonical name for records seeded before they existed
+function districtLocalNames(district) {
+  const names = district.localNames || {};
+  return names.hi && names.en ? { hi: names.hi, en: names.en, mr: names.mr || names.hi } : localNamesFromName(district.districtName);
+}
+
+function stateLocalNames(stateCode, stateName) {
+  const state = getRegistryState(stateCode);
+  return state ? registryLocalNames(state) : localNamesFromName(stateName || stateCode);
+}
+
+// --- State and District Registry ---
+
+function registryStateName(state) {
+  return `${state.hi} (${state.en})`;
+}
+
+function registryDistrictName(district) {
+  return `${district.hi} (${district.en})`;
+}
+
+function getRegistryState(stateCode) {
+  return INDIA_REGISTRY.states.find(state => state.stateCode === stateCode) || null;
+}
+
+// Display name for a state code, e.g. "MH" -> "महाराष्ट्र (Maharashtra)"
+function getStateName(stateCode) {
+  const state = getRegistryState(stateCode);
+  return state ? registryStateName(state) : stateCode;
+}
+
+// Finds a registry state by code, English/Hindi name or "हिन्दी (English)" name.
+function findRegistryState(name) {
+  if (!name) return null;
+  const value = String(name).trim();
+  const normalized = normalizeName(englishPart(value));
+  return INDIA_REGISTRY.states.find(state =>
+    state.stateCode === value.toUpperCase() ||
+    state.hi === value ||
+    (normalized && normalizeName(state.en) === normalized)
+  ) || null;
+}
+
+
+// --- Data Quality Checks ---
+// Three layers, all stored on Performance.qualityFlags:
+//   1. rule checks on the record itself (women > active workers, spend without households, ...)
+//   2. month-on-month jumps and outliers against the district's own recent history
+//   3. outliers against the other districts of the state for the same month (median/MAD)
+
+// Metrics watched for month-on-month jumps and statistical outliers
+const QUALITY_METRICS = ['householdsWorked', 'activeWorkers', 'avgDaysProvided', 'totalPersondays', 'avgWage', 'totalExpenditure'];
+// A value at least this many times (or at most 1/this) of last month's is a jump
+const QUALITY_MOM_JUMP_RATIO = 3;
+// History window and z-score threshold for the district's own history
+const QUALITY_HISTORY_MONTHS = 12;
+const QUALITY_MIN_HISTORY_POINTS = 6;
+const QUALITY_HISTORY_Z = 3;
+// Robust z-score threshold against state peers (0.6745 scales MAD to a standard deviation)
+const QUALITY_PEER_Z = 3.5;
+const QUALITY_MIN_PEERS = 5;
+
+// Record-level consistency rules
+function ruleQualityFlags(record) {
+    const flags = [];
+    const add = (code, severity, field, message) => flags.push({ code, severity, field, message });
+
+    HISTORY_METRICS.forEach(metric => {
+        if (record[metric] < 0) add('negative_value', 'error', metric, `${metric} is negative`);
+    });
+
+    if (record.womenWorkers > record.activeWorkers) {
+        add('women_exceed_active', 'error', 'womenWorkers', 'More women workers than active workers');
+    }
+    if (record.scWorkers > record.activeWorkers) {
+        add('sc_exceed_active', 'error', 'scWorkers', 'More SC workers than active workers');
+    }
+    if (record.stWorkers > record.activeWorkers) {
+        add('st_exceed_active', 'error', 'stWorkers', 'More ST workers than active workers');
+    }
+    if (record.householdsWorked === 0 && record.totalExpenditure > 0) {
+        add('spend_without_households', 'error', 'totalExpenditure', 'Expenditure reported with zero households worked');
+    }
+    if (record.totalPersondays > 0 && record.avgWage === 0) {
+        add('persondays_without_wage', 'warning', 'avgWage', 'Persondays reported with an average wage of zero');
+    }
+    if (record.avgDaysProvided > 100) {
+        add('days_exceed_guarantee', 'warning', 'avgDaysProvided', 'Average days exceed the 100-day guarantee');
+    }
+    // Persondays should be roughly households x average days
+    if (record.totalPersondays > 0 && record.householdsWorked > 0 && record.avgDaysProvided > 0) {
+        const expected = record.householdsWorked * record.avgDaysProvided;
+        if (Math.abs(record.totalPersondays - expected) / expected > 0.5) {
+            add('persondays_mismatch', 'warning', 'totalPersondays', 'Persondays do not match households x average days');
+        }
+    }
+
+    return flags;
+}
+
+// Month-on-month jumps and z-score outliers against the area's own history
+function historyQualityFlags(record, previous, history, areaNoun = 'district') {
+    const flags = [];
+
+    QUALITY_METRICS.forEach(metric => {
+        const value = record[metric];
+
+        if (previous && previous[metric] > 0 && value > 0) {
+            const ratio = value / previous[metric];
+            if (ratio >= QUALITY_MOM_JUMP_RATIO || ratio <= 1 / QUALITY_MOM_JUMP_RATIO) {
+                flags.push({
+                    code: 'month_on_month_jump',
+                    severity: 'warning',
+                    field: metric,
+                    message: `${metric} changed ${Math.round((ratio - 1) * 100)}% from last month`
+                });
+            }
+        }
+
+        const values = history.map(row => row[metric]).filter(v => typeof v === 'number');
+        if (values.length >= QUALITY_MIN_HISTORY_POINTS) {
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+            if (sd > 0 && Math.abs(value - mean) / sd > QUALITY_HISTORY_Z) {
+                flags.push({
+                    code: 'history_outlier',
+                    severity: 'warning',
+                    field: metric,
+                    message: `${metric} is unusual compared with this ${areaNoun}'s last ${values.length} months`
+                });
+            }
+        }
+    });
+
+    return flags;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Robust (median/MAD) outliers against the other areas under the same parent in the same month
+function peerQualityFlags(record, peers, peerNoun = 'districts in the state') {
+    const flags = [];
+    if (peers.length < QUALITY_MIN_PEERS) return flags;
+
+    QUALITY_METRICS.forEach(metric => {
+        const values = peers.map(row => row[metric]);
+        const med = median(values);
+        const mad = median(values.map(v => Math.abs(v - med)));
+        if (mad === 0) return;
+
+        const robustZ = 0.6745 * (record[metric] - med) / mad;
+        if (Math.abs(robustZ) > QUALITY_PEER_Z) {
+            flags.push({
+                code: 'peer_outlier',
+                severity: 'warning',
+                field: metric,
+                message: `${metric} is far ${robustZ > 0 ? 'above' : 'below'} other ${peerNoun}`
+            });
+        }
+    });
+
+    return flags;
+}
+
+// The levels quality checks run on. Peers are the areas under the same parent in the same month
+// (the districts of a state, the blocks of a district, the panchayats of a block).
+const QUALITY_LEVELS = {
+    district: { Model: Performance, scope: ['stateCode'], area: 'districtName', noun: 'district', peerNoun: 'districts in the state' },
+    block: { Model: BlockPerformance, scope: ['stateCode', 'districtName'], area: 'blockName', noun: 'block', peerNoun: 'blocks in the district' },
+    panchayat: {
+        Model: PanchayatPerformance,
+        scope: ['stateCode', 'districtName', 'blockName'],
+        area: 'panchayatName',
+        noun: 'panchayat',
+        peerNoun: 'panchayats in the block'
+    }
+};
+
+// Re-evaluates quality flags for every area of a level in the given parents/months (districts
+// by default). Accepts the filters of the records that were just written, which must include
+// the level's scope fields and dataMonth; the following month is re-checked too because its
+// month-on-month comparison depends on them. Returns the number of flagged records.
+async function checkDataQuality(touched, level = QUALITY_LEVELS.district) {
+    const { Model, scope, area, noun, peerNoun } = level;
+    const targets = new Map();
+    touched.forEach(record => {
+        const key = scope.map(field => record[field]).join('|');
+        if (!targets.has(key)) {
+            targets.set(key, { parent: Object.fromEntries(scope.map(field => [field, record[field]])), monthKeys: new Set() });
+        }
+        const next = new Date(record.dataMonth);
+        next.setMonth(next.getMonth() + 1);
+        targets.get(key).monthKeys.add(monthKey(record.dataMonth)).add(monthKey(next));
+    });
+
+    let flagged = 0;
+
+    for (const { parent, monthKeys } of targets.values()) {
+        const months = [...monthKeys].map(parseMonthParam).sort((a, b) => a - b);
+        const windowStart = new Date(months[0]);
+        windowStart.setMonth(windowStart.getMonth() - QUALITY_HISTORY_MONTHS);
+
+        const rows = await Model.find({
+            ...parent,
+            dataMonth: { $gte: windowStart, $lte: months[months.length - 1] }
+        }).lean();
+
+        const byArea = new Map();
+        rows.forEach(row => {
+            if (!byArea.has(row[area])) byArea.set(row[area], new Map());
+            byArea.get(row[area]).set(monthKey(row.dataMonth), row);
+        });
+
+        const operations = [];
+        for (const month of months) {
+            const key = monthKey(month);
+            const peers = rows.filter(row => monthKey(row.dataMonth) === key);
+
+            const previousMonth = new Date(month);
+            previousMonth.setMonth(previousMonth.getMonth() - 1);
+
+            peers.forEach(record => {
+                const areaRows = byArea.get(record[area]);
+                const history = [];
+                for (let i = 1; i <= QUALITY_HISTORY_MONTHS; i++) {
+                    const past = new Date(month);
+                    past.setMonth(past.getMonth() - i);
+                    if (areaRows.has(monthKey(past))) history.push(areaRows.get(monthKey(past)));
+                }
+
+                const flags = [
+                    ...ruleQualityFlags(record),
+                    ...historyQualityFlags(record, areaRows.get(monthKey(previousMonth)), history, noun),
+                    ...peerQualityFlags(record, peers, peerNoun)
+                ];
+                if (flags.length > 0) flagged++;
+
+                operations.push({
+                    updateOne: {
+                        filter: { _id: record._id },
+                        update: { $set: { qualityFlags: flags, qualityCheckedAt: new Date() } }
+                    }
+                });
+            });
+        }
+
+        if (operations.length > 0) {
+            await Model.bulkWrite(operations, { ordered: false });
+        }
+    }
+
+    return flagged;
+}
+
+
+// --- Materialised Aggregates ---
+
+async function refreshStateAggregate(stateCode, dataMonth) {
+    const [result] = await Performance.aggregate([
+        { $match: { stateCode, dataMonth, districtName: { $nin: await retiredDistrictNames(stateCode) } } },
+        { $group: STATE_AGGREGATE_GROUP }
+    ]);
+
+    if (!result) {
+        await StateAggregate.deleteOne({ stateCode, dataMonth });
+        return;
+    }
+
+    const { _id, ...fields } = result;
+    await StateAggregate.updateOne(
+        { stateCode, dataMonth },
+        { $set: { ...fields, computedAt: new Date() } },
+        { upsert: true }
+    );
+}
+
+// Rebuilds the aggregates affected by freshly written Performance records and drops the
+// cached responses for their states. Accepts the same { stateCode, dataMonth } filters as
+// checkDataQuality(), and must run after it so the snapshots carry the new quality flags.
+// Every district snapshot in a touched state is rebuilt: its state average, comparisons or
+// history window may include any of the touched months.
+async function refreshAggregates(touched) {
+    const targets = new Map();
+    touched.forEach(({ stateCode, dataMonth }) => {
+        if (!targets.has(stateCode)) targets.set(stateCode, new Set());
+        targets.get(stateCode).add(monthKey(dataMonth));
+    });
+
+    for (const [stateCode, monthKeys] of targets) {
+        for (const key of monthKeys) {
+            await refreshStateAggregate(stateCode, parseMonthParam(key));
+        }
+
+        // Retired districts get no snapshot, and an existing one is dropped below
+        const districtNames = await Performance.distinct('districtName', {
+            stateCode,
+            districtName: { $nin: await retiredDistrictNames(stateCode) }
         });
+        const operations = [];
+        for (const districtName of districtNames) {
+            const payload = await buildDistrictData(stateCode, districtName);
+            operations.push({
+                updateOne: {
+                    filter: { stateCode, districtName },
+                    update: { $set: { payload, payloadVersion: DISTRICT_PAYLOAD_VERSION, computedAt: new Date() } },
+                    upsert: true
+                }
+            });
+        }
+
+        if (operations.length > 0) {
+            await DistrictAggregate.bulkWrite(operations, { ordered: false });
+        }
+        await DistrictAggregate.deleteMany({ stateCode, districtName: { $nin: districtNames } });
+        invalidateDistrictDataCache(stateCode);
+    }
+}
+
+// --- Offline Reverse Geocoding ---
+// Boundaries are GeoJSON Polygon/MultiPolygon features with properties
+// { stateCode, district (English name), districtCode }. Polygons are bucketed into a
+// 1-degree grid by bounding box so a lookup only ray-casts the few candidates in its cell.
+
+const BOUNDARY_GRID_SIZE = 1;
+const boundaryGrid = new Map();
+let boundaryCount = 0;
+
+function boundaryCellKey(latCell, lngCell) {
+    return `${latCell}|${lngCell}`;
+}
+
+function ringBoundingBox(ring) {
+    const box = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+    ring.forEach(([lng, lat]) => {
+        if (lng < box.minLng) box.minLng = lng;
+        if (lng > box.maxLng) box.maxLng = lng;
+        if (lat < box.minLat) box.minLat = lat;
+        if (lat > box.maxLat) box.maxLat = lat;
+    });
+    return box;
+}
+
+// Ray casting; ring is an array of [lng, lat] positions
+function pointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// A polygon is [outerRing, ...holes]
+function pointInPolygon(lng, lat, polygon) {
+    if (!pointInRing(lng, lat, polygon[0])) return false;
+    return !polygon.slice(1).some(hole => pointInRing(lng, lat, hole));
+}
+
+function loadDistrictBoundaries(file = DISTRICT_BOUNDARIES_PATH) {
+    boundaryGrid.clear();
+    boundaryCount = 0;
+
+    if (!fs.existsSync(file)) {
+        console.warn(`⚠️ District boundaries not found at ${file}. Offline location detection is disabled.`);
+        return;
+    }
+
+    let collection;
+    try {
+        collection = JSON.parse(fs.readFileSync(file, 'utf8'));
     } catch (error) {
-        res.status(503).json({ 
-            status: 'unhealthy', 
-            database: 'disconnected',
-            error: error.message 
+        console.error(`❌ Could not read district boundaries from ${file}: ${error.message}. Offline location detection is disabled.`);
+        return;
+    }
+
+    (collection.features || []).forEach(feature => {
+        const geometry = feature.geometry;
+        if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) return;
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        const properties = feature.properties || {};
+
+        polygons.forEach(polygon => {
+            const entry = {
+                polygon,
+                box: ringBoundingBox(polygon[0]),
+                stateCode: properties.stateCode,
+                district: properties.district,
+                districtCode: properties.districtCode ? String(properties.districtCode) : null
+            };
+
+            for (let latCell = Math.floor(entry.box.minLat / BOUNDARY_GRID_SIZE); latCell <= Math.floor(entry.box.maxLat / BOUNDARY_GRID_SIZE); latCell++) {
+                for (let lngCell = Math.floor(entry.box.minLng / BOUNDARY_GRID_SIZE); lngCell <= Math.floor(entry.box.maxLng / BOUNDARY_GRID_SIZE); lngCell++) {
+                    const key = boundaryCellKey(latCell, lngCell);
+                    if (!boundaryGrid.has(key)) boundaryGrid.set(key, []);
+                    boundaryGrid.get(key).push(entry);
+                }
+            }
         });
+        boundaryCount++;
+    });
+
+    console.log(`🗺️ Loaded ${boundaryCount} district boundaries for offline location detection.`);
+}
+
+// Returns the boundary entry containing the point, or null
+function findDistrictBoundary(lat, lng) {
+    const key = boundaryCellKey(Math.floor(lat / BOUNDARY_GRID_SIZE), Math.floor(lng / BOUNDARY_GRID_SIZE));
+    const candidates = boundaryGrid.get(key) || [];
+
+    return candidates.find(entry =>
+        lng >= entry.box.minLng && lng <= entry.box.maxLng &&
+        lat >= entry.box.minLat && lat <= entry.box.maxLat &&
+        pointInPolygon(lng, lat, entry.polygon)
+    ) || null;
+}
+
+// Maps a boundary feature onto its exact District record (by code, then by English name)
+async function resolveBoundaryDistrict(boundary) {
+    if (boundary.districtCode) {
+        const byCode = await District.findOne({ stateCode: boundary.stateCode, districtCode: boundary.districtCode, retired: { $ne: true } });
+        if (byCode) return byCode;
     }
-});
-async function syncMGNREGAData() { /* ... unchanged ... */ }
-cron.schedule('0 2 * * *', () => { /* ... unchanged ... */ });
-function formatDate(date) { /* ... unchanged ... */ }
-function formatMonth(date) { /* ... unchanged ... */ }
+
+    const wanted = normalizeName(englishPart(boundary.district));
+    const districts = await District.find({ stateCode: boundary.stateCode, retired: { $ne: true } });
+    return districts.find(d =>
+        [d.districtName, ...(d.formerNames || [])].some(name => normalizeName(englishPart(name)) === wanted)
+    ) || null;
+}
+
+async function reverseGeocodeNominatim(lat, lng) {
+    const response = await axios.get('https://nominatim.openstreetmap.org/reverse', {
+        params: { format: 'json', lat, lon: lng },
+        headers: {
+            'User-Agent': `MGNREGA-Tracker-Project/1.0 (Contact: ${NOMINATIM_CONTACT_EMAIL})`
+        },
+        timeout: 5000
+    });
+    return response.data.address || {};
+}
+
+// Matches a Nominatim district name (any spelling, script or former name) through district search.
+async function matchDistrictByName(detectedDistrictName, detectedStateName) {
+    // Narrow the search to the detected state; search every state if it isn't recognised
+    const detectedState = findRegistryState(detectedStateName);
+    const [best] = await searchDistricts(detectedDistrictName, {
+        stateCode: detectedState ? detectedState.stateCode : undefined,
+        limit: 1
+    });
+    return best && best.score >= LOCATION_MATCH_MIN_SCORE ? best.district : null;
+}
 
 
 // --- Database Initialization and Seeding ---
 async function initializeDatabase() {
   try {
-    // Check if any district data exists for MH. We can skip if data is already present.
-    const count = await District.countDocuments({stateCode: 'MH'});
-    
-    if (count === 0) {
-      console.log('📥 Initializing database with seed data for Maharashtra...');
-      
-      const maharashtraDistricts = [
-        'अहमदनगर (Ahmednagar)', 'अकोला (Akola)', 'अमरावती (Amravati)',
-        'छत्रपति संभाजीनगर (Chh. Sambhajinagar)', 
-        'भंडारा (Bhandara)', 'बुलढाणा (Buldhana)',
-        'चंद्रपूर (Chandrapur)', 'धुले (Dhule)', 'गड़चिरोली (Gadchiroli)',
-        'गोंदिया (Gondia)', 'हिंगोली (Hingoli)', 'जलगांव (Jalgaon)',
-        'जालना (Jalna)', 'कोल्हापुर (Kolhapur)', 'लातूर (Latur)',
-        'मुंबई उपनगर (Mumbai Sub)', 'नागपुर (Nagpur)', 'नांदेड़ (Nanded)',
-        'नंदुरबार (Nandurbar)', 'नासिक (Nashik)', 'धाराशिव (Dharashiv)',
-        'परभणी (Parbhani)', 'पुणे (Pune)', 'रायगड़ (Raigad)',
-        'रत्नागिरी (Ratnagiri)', 'सांगली (Sangli)', 'सतारा (Satara)',
-        'सिंधुदुर्ग (Sindhudurg)', 'सोलापुर (Solapur)', 'ठाणे (Thane)',
-        'वर्धा (Wardha)', 'वाशिम (Washim)', 'यवतमाल (Yavatmal)',
-        'पालघर (Palghar)'
-      ];
-      
-      const uniqueDistricts = [...new Set(maharashtraDistricts)];
-      
-      const districts = uniqueDistricts.map(name => ({
-        stateCode: 'MH',
-        stateName: 'महाराष्ट्र (Maharashtra)',
-        districtName: name
-      }));
-      
-      await District.insertMany(districts, { ordered: false });
-      console.log(`✅ Seeded ${uniqueDistricts.length} districts for MH.`);
-      
-      // FIX: Generate ONLY the current month's data for all districts
-      console.log('📊 Generating current month performance data for ALL districts...');
-      
-      const generationPromises = districts.map(district => 
-        generateCurrentMonthData(district.stateCode, district.districtName)
-      );
-      
-      await Promise.all(generationPromises);
-      console.log('✅ All current month data generation completed.');
-
-    } else {
-        // If District collection exists, check if ANY data exists for the current month
-        const currentMonthDataCount = await Performance.countDocuments({
-            stateCode: 'MH',
-            dataMonth: getCurrentMonthDate()
-        });
-
-        // Only generate if current month data is missing for some reason
-        if (currentMonthDataCount < count) {
-            console.log('⚠️ District data exists, but current month data is incomplete. Triggering regeneration...');
-            
-            const districts = await District.find({stateCode: 'MH'});
-            const generationPromises = districts.map(district => 
-                generateCurrentMonthData(district.stateCode, district.districtName)
-            );
-            
-            await Promise.all(generationPromises);
-            console.log('✅ Current month data regeneration completed.');
-        } else {
-            console.log('✅ Database already contains district and current month performance information. Skipping initial seed.');
-        }
+    for (const stateCode of SEED_STATES) {
+      const state = getRegistryState(stateCode);
+      if (!state) {
+        console.warn(`⚠️ Unknown state code '${stateCode}' in SEED_STATES. Skipping.`);
+        continue;
+      }
+      await seedState(state);
     }
   } catch (error) {
-    if (error.code === 11000) {
-        console.warn('⚠️ District seed data already partially exists. Skipping insert.');
-    } else {
-        console.error('Error initializing database:', error);
+    console.error('Error initializing database:', error);
+  }
+}
+
+// Inserts any registry districts missing for a state, then (in demo mode only) fills in missing
+// synthetic history.
+async function seedState(state) {
+  const stateName = registryStateName(state);
+
+  // Registry names that an admin has since renamed must not be seeded again
+  const renamed = await District.find({ stateCode: state.stateCode, 'formerNames.0': { $exists: true } });
+  const formerNames = new Set(renamed.flatMap(district => district.formerNames));
+
+  const operations = state.districts
+    .filter(district => !formerNames.has(registryDistrictName(district)))
+    .flatMap(district => {
+      const filter = { stateCode: state.stateCode, districtName: registryDistrictName(district) };
+      const localNames = registryLocalNames(district);
+      return [
+        {
+          updateOne: {
+            filter,
+            update: {
+              $setOnInsert: {
+                stateName: stateName,
+                districtCode: district.code || undefined,
+                localNames
+              },
+              $addToSet: {
+                formerNames: { $each: district.formerNames || [] },
+                aliases: { $each: district.aliases || [] }
+              }
+            },
+            upsert: true
+          }
+        },
+        // Aliases the registry has withdrawn (e.g. a namesake district elsewhere) are removed
+        ...(district.removedAliases ? [{
+          updateOne: {
+            filter,
+            update: { $pull: { aliases: { $in: district.removedAliases } } }
+          }
+        }] : []),
+        // Existing districts only get the display names they lack, so admin edits survive reseeding
+        ...Object.entries(localNames).map(([locale, name]) => ({
+          updateOne: {
+            filter: { ...filter, [`localNames.${locale}`]: { $in: [null, ''] } },
+            update: { $set: { [`localNames.${locale}`]: name } }
+          }
+        }))
+      ];
+    });
+
+  const result = await District.bulkWrite(operations, { ordered: false });
+  invalidateDistrictSearchIndex();
+  if (result.upsertedCount > 0) {
+    console.log(`📥 Seeded ${result.upsertedCount} districts for ${state.stateCode}.`);
+  }
+
+  // Synthetic figures are for demos only: outside demo mode districts stay empty until data
+  // is synced or imported, so fabricated numbers are never served alongside real ones
+  if (DEMO_MODE) {
+    const districts = await District.find({ stateCode: state.stateCode, retired: { $ne: true } });
+    const months = DEMO_YEARS * 12;
+    const endMonth = getCurrentMonthDate();
+    const existingCount = await Performance.countDocuments({
+      stateCode: state.stateCode,
+      dataMonth: { $gte: new Date(endMonth.getFullYear(), endMonth.getMonth() - (months - 1), 1), $lte: endMonth }
+    });
+
+    // Only generate if some district-months are missing; records that exist are never replaced
+    if (existingCount < districts.length * months) {
+      console.log(`📊 Generating ${DEMO_YEARS} years of demo performance data for ${state.stateCode}...`);
+
+      const records = generateSyntheticRecords(districts, { seed: DEMO_SEED, months, endMonth });
+      const result = await writeSyntheticRecords(records, { seed: DEMO_SEED });
+      console.log(`✅ Generated ${result.inserted} performance records for ${state.stateCode}.`);
+      return;
     }
   }
+
+  // Databases populated before aggregates were materialised
+  if (await DistrictAggregate.countDocuments({ stateCode: state.stateCode }) === 0
+    && await Performance.exists({ stateCode: state.stateCode })) {
+    await refreshAggregates([{ stateCode: state.stateCode, dataMonth: getCurrentMonthDate() }]);
+  }
 }
 
 // Helper to get the current month's date (1st day, 00:00:00)
@@ -530,47 +5425,11 @@ function getCurrentMonthDate() {
     return targetDate;
 }
 
-// Function to generate ONLY the current/latest month's data
-async function generateCurrentMonthData(stateCode, districtName) {
-  
-  const monthDate = getCurrentMonthDate();
-  
-  const existing = await Performance.findOne({
-    stateCode: stateCode,
-    districtName: districtName,
-    dataMonth: monthDate
-  });
-  
-  // Only insert if the record for this month doesn't exist
-  if (!existing) {
-    // Generate static data (no trend needed since it's only one month)
-    const baseHouseholds = Math.floor((60000 + Math.random() * 30000));
-    const activeWorkers = Math.floor(baseHouseholds * (0.7 + Math.random() * 0.2));
-    const womenWorkers = Math.floor(activeWorkers * (0.55 + Math.random() * 0.15));
-    
-    await Performance.create({
-      stateCode: stateCode,
-      stateName: 'महाराष्ट्र (Maharashtra)',
-      districtName: districtName,
-      dataMonth: monthDate,
-      householdsWorked: baseHouseholds,
-      activeWorkers: activeWorkers,
-      womenWorkers: womenWorkers,
-      scWorkers: Math.floor(activeWorkers * 0.2),
-      stWorkers: Math.floor(activeWorkers * 0.15),
-      // Ensures the DB value is truncated/rounded the same way the API output is expected to be
-      avgDaysProvided: parseFloat((35 + Math.random() * 20).toFixed(1)), 
-      avgWage: parseFloat((285 + Math.random() * 50).toFixed(2)),
-      completedWorks: Math.floor(800 + Math.random() * 600),
-      ongoingWorks: Math.floor(300 + Math.random() * 400),
-      totalExpenditure: parseFloat((baseHouseholds * 300 * (35 + Math.random() * 20)).toFixed(2))
-    });
-  }
-}
-
 // Start server
 async function startServer() {
   await initializeDatabase();
+  await ensureApiLogRetention();
+  loadDistrictBoundaries();
   
   app.listen(PORT, () => {
     console.log(`🚀 MGNREGA Backend API running on port ${PORT}`);
@@ -579,15 +5438,73 @@ async function startServer() {
   });
 }
 
-// Error handling
-process.on('unhandledRejection', (error) => {
-  console.error('Unhandled rejection:', error);
-});
+// Error handling (left to the test runner when required as a module)
+if (RUN_AS_MAIN) {
+  process.on('unhandledRejection', (error) => {
+    console.error('Unhandled rejection:', error);
+  });
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, closing server...');
-  mongoose.connection.close();
-  process.exit(0);
-});
+  process.on('SIGTERM', async () => {
+    console.log('SIGTERM received, closing server...');
+    await flushApiLogs();
+    await mongoose.connection.close();
+    process.exit(0);
+  });
+}
+
+// CLI entry points: `node server.js import <files...>` runs the backfill importer,
+// `node server.js anonymise-logs` rewrites stored API logs and `node server.js generate ...`
+// writes synthetic data, instead of starting the API server
+if (!RUN_AS_MAIN) {
+  // Required by the tests: see module.exports below
+} else if (command === 'import') {
+  runImportCommand(commandArgs);
+} else if (command === 'anonymise-logs') {
+  runAnonymiseLogsCommand();
+} else if (command === 'generate') {
+  runGenerateCommand(commandArgs);
+} else {
+  startServer();
+}
 
-startServer();
+// Helpers and models exercised by the tests under test/
+module.exports = {
+  app,
+  SyncLog,
+  District,
+  Performance,
+  Block,
+  BlockPerformance,
+  DistrictAggregate,
+  AuditLog,
+  Subscription,
+  syncMGNREGAData,
+  seedState,
+  parseCsv,
+  buildDistrictIndex,
+  mapImportRow,
+  importFile,
+  getCachedDistrictData,
+  setCachedDistrictData,
+  invalidateDistrictDataCache,
+  buildFinanceMetrics,
+  buildRankings,
+  anonymiseIp,
+  coarsenCoordinates,
+  validateV1Query,
+  V1_PARAMS,
+  generateSyntheticRecords,
+  searchKey,
+  nameMatchScore,
+  searchDistricts,
+  invalidateDistrictSearchIndex,
+  rollUpPerformance,
+  checkDataQuality,
+  ruleQualityFlags,
+  historyQualityFlags,
+  QUALITY_LEVELS,
+  parseNamedTokens,
+  qualityFlagText,
+  loadDistrictBoundaries,
+  findDistrictBoundary
+};
@@ -0,0 +1,123 @@
+// Service worker for the offline-first dashboard.
+// - Dashboard page (/ and /index.html): network first, cached copy when offline. Other pages
+//   (admin, unsubscribe, JSON documents) are never cached.
+// - Locale bundles, manifest and icons: served from cache, refreshed in the background.
+// - /api/states, /api/districts, /api/district-names: network first, cached copy when offline.
+// - /api/district-data: network first, the last MAX_DISTRICT_RESPONSES districts kept for offline use.
+// Cached API responses carry an X-Cached-At header so the page can say how old the data on screen is.
+
+// v2 drops shells that v1 may have overwritten with another page
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `mgnrega-shell-${CACHE_VERSION}`;
+const LISTS_CACHE = `mgnrega-lists-${CACHE_VERSION}`;
+const DISTRICTS_CACHE = `mgnrega-districts-${CACHE_VERSION}`;
+
+const SHELL_URLS = [
+    '/',
+    '/manifest.webmanifest',
+    '/locales/mr.json',
+    '/locales/hi.json',
+    '/locales/en.json',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+const SHELL_PAGES = ['/', '/index.html'];
+const LIST_PATHS = ['/api/states', '/api/districts', '/api/district-names'];
+const MAX_DISTRICT_RESPONSES = 5;
+
+// On a weak signal, give up on the network after this long and show the saved copy
+const NETWORK_TIMEOUT_MS = 8000;
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, LISTS_CACHE, DISTRICTS_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    // Embedded widgets are framed by partner sites and must not replace the cached app shell
+    if (url.pathname.startsWith('/embed/')) return;
+
+    if (request.mode === 'navigate') {
+        // Only the dashboard is saved as the shell; other pages go straight to the network
+        if (SHELL_PAGES.includes(url.pathname)) event.respondWith(networkFirst(request, SHELL_CACHE, { cacheKey: '/' }));
+    } else if (LIST_PATHS.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, LISTS_CACHE, { stamp: true }));
+    } else if (url.pathname === '/api/district-data') {
+        event.respondWith(networkFirst(request, DISTRICTS_CACHE, { stamp: true, maxEntries: MAX_DISTRICT_RESPONSES }));
+    } else if (SHELL_URLS.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+async function networkFirst(request, cacheName, { cacheKey = request, stamp = false, maxEntries } = {}) {
+    const cache = await caches.open(cacheName);
+
+    const network = fetch(request).then(async response => {
+        if (response.ok) {
+            const copy = stamp ? await stampResponse(response.clone()) : response.clone();
+            // Re-insert so the key moves to the end of the cache's (insertion-ordered) key list
+            await cache.delete(cacheKey);
+            await cache.put(cacheKey, copy);
+            if (maxEntries) await trimCache(cache, maxEntries);
+        }
+        return response;
+    });
+
+    try {
+        return await Promise.race([network, timeout(NETWORK_TIMEOUT_MS)]);
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (cached) {
+            network.catch(() => {});
+            return cached;
+        }
+        // Nothing saved yet: keep waiting for the network (or surface its error)
+        return network;
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const network = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        network.catch(() => {});
+        return cached;
+    }
+    return network;
+}
+
+// Copy of the response with the time it was saved
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+// Drops the least recently fetched entries beyond maxEntries
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+function timeout(ms) {
+    return new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timeout')), ms));
+}
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ADMIN_TOKENS = 'asha:admin-secret,no-separator';
+const warn = test.mock.method(console, 'warn', () => {});
+const { app, District, Performance, AuditLog, buildRankings, parseNamedTokens, qualityFlagText } = require('../server');
+warn.mock.restore();
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function adminRequest(method, path, body) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { authorization: 'Bearer admin-secret', 'content-type': 'application/json', 'accept-language': 'en' },
+        body: body && JSON.stringify(body)
+    });
+}
+
+test('parseNamedTokens drops entries without a name, separator or token', t => {
+    const logged = t.mock.method(console, 'warn', () => {});
+    const entries = parseNamedTokens('asha:one, ravi : two ,plain,:orphan,empty:', 'TEST_TOKENS');
+
+    assert.deepStrictEqual(entries, [{ name: 'asha', token: 'one' }, { name: 'ravi', token: 'two' }]);
+    assert.strictEqual(logged.mock.callCount(), 3);
+    assert.match(logged.mock.calls[0].arguments[0], /entry 3 of TEST_TOKENS/);
+    assert.ok(!logged.mock.calls.some(call => call.arguments[0].includes('plain')));
+});
+
+test('a malformed ADMIN_TOKENS entry is reported at startup and the valid ones still work', async () => {
+    assert.ok(warn.mock.calls.some(call => /entry 2 of ADMIN_TOKENS/.test(call.arguments[0])));
+
+    const response = await fetch(`${baseUrl}/api/admin/audit`, { headers: { authorization: 'Bearer no-separator' } });
+    assert.strictEqual(response.status, 401);
+});
+
+test('a correction is audited even when the derived recomputation fails', async t => {
+    const record = {
+        _id: '65a000000000000000000001',
+        stateCode: 'MH',
+        districtName: 'पुणे (Pune)',
+        dataMonth: new Date(2024, 0, 1),
+        householdsWorked: 100,
+        set(changes) { Object.assign(this, changes); },
+        save: async () => {}
+    };
+    t.mock.method(Performance, 'findById', async () => record);
+    t.mock.method(Performance, 'find', () => ({ lean: async () => { throw new Error('quality check failed'); } }));
+    const audit = t.mock.method(AuditLog, 'create', async () => ({}));
+    t.mock.method(console, 'error', () => {});
+
+    const response = await adminRequest('PATCH', `/api/admin/performance/${record._id}`, { householdsWorked: 120, reason: 'typo' });
+
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(audit.mock.callCount(), 1);
+    assert.strictEqual(audit.mock.calls[0].arguments[0].action, 'performance.correct');
+    assert.deepStrictEqual(audit.mock.calls[0].arguments[0].after, { householdsWorked: 120 });
+});
+
+test('retiring a district rebuilds the aggregates for its state', async t => {
+    const district = {
+        _id: '65a000000000000000000002',
+        stateCode: 'MH',
+        districtName: 'पुणे (Pune)',
+        localNames: {},
+        save: async () => {}
+    };
+    t.mock.method(District, 'findById', async () => district);
+    const audit = t.mock.method(AuditLog, 'create', async () => ({}));
+    const months = t.mock.method(Performance, 'distinct', async () => []);
+
+    const response = await adminRequest('POST', `/api/admin/districts/${district._id}/retire`, { reason: 'merged' });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(audit.mock.callCount(), 1);
+    assert.strictEqual(months.mock.callCount(), 1);
+    assert.deepStrictEqual(months.mock.calls[0].arguments, ['dataMonth', { stateCode: 'MH', districtName: 'पुणे (Pune)' }]);
+});
+
+test('a retired district drops out of the state rankings', async t => {
+    const rows = [
+        { districtName: 'अहमदनगर (Ahmednagar)', householdsWorked: 900 },
+        { districtName: 'पुणे (Pune)', householdsWorked: 800 },
+        { districtName: 'सातारा (Satara)', householdsWorked: 700 }
+    ];
+    t.mock.method(District, 'distinct', async (field, filter) => (filter.retired ? ['अहमदनगर (Ahmednagar)'] : []));
+    t.mock.method(Performance, 'find', filter => ({
+        select: () => ({
+            sort: () => ({ lean: async () => rows.filter(row => !filter.districtName.$nin.includes(row.districtName)) })
+        })
+    }));
+
+    const rankings = await buildRankings('MH', 'householdsWorked', new Date(2024, 3, 1));
+
+    assert.strictEqual(rankings.total, 2);
+    assert.deepStrictEqual(rankings.rankings.map(row => [row.district, row.rank]), [['पुणे (Pune)', 1], ['सातारा (Satara)', 2]]);
+});
+
+test('admin errors follow Accept-Language and say so in Vary', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/districts/not-an-id/retire`, {
+        method: 'POST',
+        headers: { authorization: 'Bearer admin-secret', 'accept-language': 'mr' }
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'जिल्ह्याचा id योग्य नाही' });
+    assert.match(response.headers.get('vary'), /Accept-Language/);
+});
+
+test('quality flags are described by code, naming the field in the reader\'s language', () => {
+    const flag = { code: 'peer_outlier', severity: 'warning', field: 'avgWage', message: 'avgWage is far above other districts in the state' };
+
+    assert.strictEqual(qualityFlagText(flag, 'en'), 'Average wage is very different from other districts in the state');
+    assert.strictEqual(qualityFlagText(flag, 'hi'), 'औसत मज़दूरी राज्य के दूसरे ज़िलों से बहुत अलग है');
+});
+
+test('display names must map known locales to non-empty strings', async t => {
+    const create = t.mock.method(District, 'create', async () => ({}));
+    const findById = t.mock.method(District, 'findById', async () => null);
+    const invalid = ['पुणे', ['पुणे'], { mr: { $gt: '' } }, { fr: 'Pune' }, { en: '  ' }, null];
+
+    for (const localNames of invalid) {
+        const created = await adminRequest('POST', '/api/admin/districts', { stateCode: 'MH', districtName: 'नवा (Nava)', localNames, reason: 'new district' });
+        assert.strictEqual(created.status, 400, JSON.stringify(localNames));
+        assert.deepStrictEqual(await created.json(), { error: 'localNames must map mr, hi, en to non-empty strings' });
+
+        const patched = await adminRequest('PATCH', '/api/admin/districts/65a000000000000000000002', { localNames, reason: 'fix' });
+        assert.strictEqual(patched.status, 400, JSON.stringify(localNames));
+    }
+    assert.strictEqual(create.mock.callCount(), 0);
+    assert.strictEqual(findById.mock.callCount(), 0);
+});
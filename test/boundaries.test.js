@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadDistrictBoundaries, findDistrictBoundary } = require('../server');
+
+test('the bundled boundaries resolve district headquarters', t => {
+    t.mock.method(console, 'log', () => {});
+    loadDistrictBoundaries();
+
+    const places = [
+        [18.52, 73.86, 'MH', 'Pune'],
+        [19.88, 75.34, 'MH', 'Chh. Sambhajinagar'],
+        [18.18, 76.04, 'MH', 'Dharashiv'],
+        [21.15, 79.09, 'MH', 'Nagpur'],
+        [26.85, 80.95, 'UP', 'Lucknow'],
+        [12.97, 77.59, 'KA', 'Bengaluru Urban']
+    ];
+    places.forEach(([lat, lng, stateCode, district]) => {
+        const boundary = findDistrictBoundary(lat, lng);
+        assert.ok(boundary, `no district at ${lat},${lng}`);
+        assert.strictEqual(boundary.stateCode, stateCode);
+        assert.strictEqual(boundary.district, district);
+    });
+
+    // Arabian Sea
+    assert.strictEqual(findDistrictBoundary(18.9, 71.5), null);
+});
+
+test('an unreadable boundaries file disables detection instead of throwing', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'boundaries-'));
+    t.after(() => fs.rmSync(dir, { recursive: true }));
+    const file = path.join(dir, 'broken.geojson');
+    fs.writeFileSync(file, '{ "type": "FeatureCollection", ');
+    const error = t.mock.method(console, 'error', () => {});
+
+    assert.doesNotThrow(() => loadDistrictBoundaries(file));
+    assert.strictEqual(error.mock.callCount(), 1);
+    assert.strictEqual(findDistrictBoundary(18.52, 73.86), null);
+});
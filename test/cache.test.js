@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const { app, District, Performance, DistrictAggregate, getCachedDistrictData, setCachedDistrictData, invalidateDistrictDataCache } = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => invalidateDistrictDataCache());
+
+// fetch() adds Cache-Control: no-cache to conditional requests, which makes Express skip the 304
+function conditionalStatus(url, etag) {
+    return new Promise((resolve, reject) => {
+        http.get(url, { headers: { 'if-none-match': etag } }, res => {
+            res.resume();
+            resolve(res.statusCode);
+        }).on('error', reject);
+    });
+}
+
+// Stands in for District.findOne(...).select(...).lean()
+function districtQuery(result) {
+    return { select: () => ({ lean: async () => result }) };
+}
+
+test('entries expire after the TTL', t => {
+    const now = Date.now();
+    setCachedDistrictData('MH|Pune', { value: 1 });
+    assert.deepStrictEqual(JSON.parse(getCachedDistrictData('MH|Pune').json), { value: 1 });
+
+    t.mock.method(Date, 'now', () => now + 5 * 60 * 1000 + 1);
+    assert.strictEqual(getCachedDistrictData('MH|Pune'), null);
+});
+
+test('the least recently read entry is evicted first', () => {
+    setCachedDistrictData('MH|District 0', { value: 0 });
+    for (let i = 1; i < 2000; i++) setCachedDistrictData(`MH|District ${i}`, { value: i });
+    // Reading the oldest entry makes District 1 the least recently used
+    assert.ok(getCachedDistrictData('MH|District 0'));
+
+    setCachedDistrictData('MH|District 2000', { value: 2000 });
+    assert.ok(getCachedDistrictData('MH|District 0'));
+    assert.strictEqual(getCachedDistrictData('MH|District 1'), null);
+    assert.ok(getCachedDistrictData('MH|District 2000'));
+});
+
+test('the ETag follows the payload', () => {
+    const first = setCachedDistrictData('MH|Pune', { value: 1 });
+    assert.match(first.etag, /^"[\w-]+"$/);
+    assert.strictEqual(setCachedDistrictData('MH|Pune', { value: 1 }).etag, first.etag);
+    assert.notStrictEqual(setCachedDistrictData('MH|Pune', { value: 2 }).etag, first.etag);
+});
+
+test('invalidation drops one state or everything', () => {
+    setCachedDistrictData('MH|Pune', { value: 1 });
+    setCachedDistrictData('MHX|Other', { value: 2 });
+    setCachedDistrictData('RJ|Jaipur', { value: 3 });
+
+    invalidateDistrictDataCache('MH');
+    assert.strictEqual(getCachedDistrictData('MH|Pune'), null);
+    assert.ok(getCachedDistrictData('MHX|Other'));
+    assert.ok(getCachedDistrictData('RJ|Jaipur'));
+
+    invalidateDistrictDataCache();
+    assert.strictEqual(getCachedDistrictData('RJ|Jaipur'), null);
+});
+
+test('cached responses carry an ETag and answer If-None-Match with 304', async t => {
+    const findOne = t.mock.method(District, 'findOne', () => districtQuery(null));
+    setCachedDistrictData('MH|Pune', { value: 1 });
+    const url = `${baseUrl}/api/district-data?state=MH&district=Pune`;
+
+    const res = await fetch(url);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { value: 1 });
+    const etag = res.headers.get('etag');
+    assert.strictEqual(await conditionalStatus(url, etag), 304);
+    assert.strictEqual(findOne.mock.callCount(), 0);
+
+    invalidateDistrictDataCache('MH');
+    assert.strictEqual(await conditionalStatus(url, etag), 404);
+    assert.strictEqual(findOne.mock.callCount(), 1);
+});
+
+test('query operators are rejected before any lookup or write', async t => {
+    const findOne = t.mock.method(District, 'findOne', () => districtQuery({ stateCode: 'MH', districtName: 'Pune' }));
+    const updateOne = t.mock.method(DistrictAggregate, 'updateOne', async () => ({}));
+
+    const res = await fetch(`${baseUrl}/api/district-data?state[$ne]=x&district[$ne]=x`, { headers: { 'accept-language': 'en' } });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(findOne.mock.callCount(), 0);
+    assert.strictEqual(updateOne.mock.callCount(), 0);
+});
+
+test('misses are built and stored under the stored district, not the query', async t => {
+    t.mock.method(District, 'findOne', () => districtQuery({ stateCode: 'MH', districtName: 'पुणे (Pune)' }));
+    const filters = [];
+    t.mock.method(DistrictAggregate, 'findOne', filter => {
+        filters.push(filter);
+        return { lean: async () => null };
+    });
+
+    // No Performance rows behind the stub, so the build finds nothing and nothing is written
+    t.mock.method(Performance, 'findOne', () => ({ sort: async () => null }));
+    const res = await fetch(`${baseUrl}/api/district-data?state=MH&district=${encodeURIComponent('पुणे (Pune)')}`);
+    assert.strictEqual(res.status, 404);
+    assert.deepStrictEqual(filters, [{ stateCode: 'MH', districtName: 'पुणे (Pune)' }]);
+});
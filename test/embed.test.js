@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { app, District, invalidateDistrictSearchIndex } = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function get(path) {
+    return fetch(`${baseUrl}${path}`, { headers: { 'accept-language': 'en' } });
+}
+
+test('invalid queries get an uncached placeholder the frame or image can show', async () => {
+    const badge = await get('/embed/badge.svg?state=MH');
+    assert.strictEqual(badge.status, 400);
+    assert.match(badge.headers.get('content-type'), /^image\/svg\+xml/);
+    assert.strictEqual(badge.headers.get('cache-control'), 'no-store');
+    assert.match(await badge.text(), /^<svg[\s\S]*State and district parameters are required/);
+
+    for (const query of ['theme=constructor', 'metrics=toString', 'district[$ne]=x']) {
+        const card = await get(`/embed/district?state=MH&district=Pune&${query}`);
+        assert.strictEqual(card.status, 400, query);
+        assert.match(card.headers.get('content-type'), /^text\/html/);
+        assert.strictEqual(card.headers.get('cache-control'), 'no-store');
+    }
+});
+
+test('unknown districts get an uncached placeholder', async t => {
+    t.mock.method(District, 'findOne', () => ({ lean: async () => null }));
+    t.mock.method(District, 'find', () => ({ lean: async () => [] }));
+    invalidateDistrictSearchIndex();
+
+    const card = await get('/embed/district?state=MH&district=Nowhere');
+    assert.strictEqual(card.status, 404);
+    assert.strictEqual(card.headers.get('cache-control'), 'no-store');
+    assert.match(await card.text(), /No data for this district/);
+});
+
+test('server errors are not cached and keep the badge an image', async t => {
+    t.mock.method(District, 'findOne', () => ({ lean: async () => { throw new Error('database unavailable'); } }));
+    t.mock.method(console, 'error', () => {});
+
+    const badge = await get('/embed/badge.svg?state=MH&district=Pune');
+    assert.strictEqual(badge.status, 500);
+    assert.match(badge.headers.get('content-type'), /^image\/svg\+xml/);
+    assert.strictEqual(badge.headers.get('cache-control'), 'no-store');
+    assert.match(await badge.text(), /^<svg/);
+});
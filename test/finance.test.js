@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildFinanceMetrics } = require('../server');
+
+const record = {
+    householdsWorked: 4000,
+    jobCardsIssued: 10000,
+    totalPersondays: 160000,
+    totalExpenditure: 50000000,
+    completedWorks: 30,
+    ongoingWorks: 90
+};
+
+const state = {
+    districtCount: 4,
+    totalHouseholds: 20000,
+    totalJobCards: 40000,
+    totalPersondays: 700000,
+    totalExpenditure: 240000000,
+    totalCompletedWorks: 120,
+    totalOngoingWorks: 280
+};
+
+test('each figure is compared with the state figure for the same month', () => {
+    assert.deepStrictEqual(buildFinanceMetrics(record, state), {
+        totalExpenditure: { value: 50000000, stateAvg: 60000000, position: 'below' },
+        perHousehold: { value: 12500, stateAvg: 12000, position: 'above' },
+        perPersonday: { value: 312.5, stateAvg: 342.86, position: 'below' },
+        workCompletion: { completed: 30, ongoing: 90, value: 25, stateAvg: 30, position: 'below' },
+        jobCards: { issued: 10000, householdsWorked: 4000, value: 40, stateAvg: 50, position: 'below' }
+    });
+});
+
+test('state ratios are taken over state totals, not averaged across districts', () => {
+    const skewed = { ...state, totalHouseholds: 10000, totalJobCards: 10000 };
+    const { perHousehold, jobCards } = buildFinanceMetrics(record, skewed);
+    assert.strictEqual(perHousehold.stateAvg, 24000);
+    assert.strictEqual(jobCards.stateAvg, 100);
+});
+
+test('ratios without a denominator are null rather than zero or infinite', () => {
+    const idle = { ...record, householdsWorked: 0, totalPersondays: 0, completedWorks: 0, ongoingWorks: 0 };
+    const metrics = buildFinanceMetrics(idle, state);
+    assert.deepStrictEqual(metrics.perHousehold, { value: null, stateAvg: 12000, position: null });
+    assert.deepStrictEqual(metrics.perPersonday, { value: null, stateAvg: 342.86, position: null });
+    assert.deepStrictEqual(metrics.workCompletion, { completed: 0, ongoing: 0, value: null, stateAvg: 30, position: null });
+    assert.strictEqual(metrics.jobCards.value, 0);
+});
+
+test('without state data only the district figures are filled in', () => {
+    const metrics = buildFinanceMetrics(record, null);
+    assert.deepStrictEqual(metrics.totalExpenditure, { value: 50000000, stateAvg: null, position: null });
+    assert.deepStrictEqual(metrics.perHousehold, { value: 12500, stateAvg: null, position: null });
+    assert.deepStrictEqual(metrics.workCompletion, { completed: 30, ongoing: 90, value: 25, stateAvg: null, position: null });
+    assert.deepStrictEqual(metrics.jobCards, { issued: 10000, householdsWorked: 4000, value: 40, stateAvg: null, position: null });
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { District, parseCsv, buildDistrictIndex, mapImportRow, importFile } = require('../server');
+
+const districts = [
+    { stateCode: 'MH', stateName: 'महाराष्ट्र (Maharashtra)', districtName: 'पुणे (Pune)' },
+    {
+        stateCode: 'MH',
+        stateName: 'महाराष्ट्र (Maharashtra)',
+        districtName: 'छत्रपती संभाजीनगर (Chhatrapati Sambhajinagar)',
+        formerNames: ['औरंगाबाद (Aurangabad)']
+    },
+    { stateCode: 'MH', stateName: 'महाराष्ट्र (Maharashtra)', districtName: 'जुना (Old)', retired: true }
+];
+
+async function districtIndex(t) {
+    t.mock.method(District, 'find', async () => districts);
+    return buildDistrictIndex();
+}
+
+function mapRow(states, row) {
+    const newDistricts = [];
+    const newAreas = { blocks: [], panchayats: [] };
+    const mapped = mapImportRow(row, states, newDistricts, new Map(), newAreas);
+    return { ...mapped, newDistricts, newAreas };
+}
+
+test('parseCsv handles quoted fields, escaped quotes and embedded newlines', () => {
+    const rows = parseCsv('districtName,note,householdsWorked\n"Pune, Haveli","said ""ok""\non two lines",1200\n');
+    assert.deepStrictEqual(rows, [{ districtName: 'Pune, Haveli', note: 'said "ok"\non two lines', householdsWorked: '1200' }]);
+});
+
+test('parseCsv accepts CRLF line endings, a BOM and blank lines', () => {
+    const rows = parseCsv('\uFEFFstateCode,districtName\r\nMH,Pune\r\n\r\nMH,Satara\r\n');
+    assert.deepStrictEqual(rows, [
+        { stateCode: 'MH', districtName: 'Pune' },
+        { stateCode: 'MH', districtName: 'Satara' }
+    ]);
+    assert.deepStrictEqual(parseCsv(''), []);
+});
+
+test('English, Devanagari and former names map onto the current district', async t => {
+    const states = await districtIndex(t);
+
+    const byEnglish = mapRow(states, { state_name: 'MAHARASHTRA', district_name: 'PUNE', dataMonth: '2024-03', householdsWorked: '1,200' });
+    assert.deepStrictEqual(byEnglish.filter, { stateCode: 'MH', districtName: 'पुणे (Pune)', dataMonth: new Date(2024, 2, 1) });
+    assert.strictEqual(byEnglish.update.householdsWorked, 1200);
+    assert.deepStrictEqual(byEnglish.newDistricts, []);
+
+    const byFormerName = mapRow(states, { stateCode: 'mh', districtName: 'Aurangabad', dataMonth: '2024-03-01T00:00:00Z', householdsWorked: 10 });
+    assert.strictEqual(byFormerName.filter.districtName, 'छत्रपती संभाजीनगर (Chhatrapati Sambhajinagar)');
+
+    const dataGov = mapRow(states, {
+        fin_year: '2023-2024', month: 'Jan', state_name: 'MAHARASHTRA', district_name: 'AURANGABAD',
+        Total_Households_Worked: '500', Total_Exp: '1.5'
+    });
+    assert.strictEqual(dataGov.filter.districtName, 'छत्रपती संभाजीनगर (Chhatrapati Sambhajinagar)');
+    assert.deepStrictEqual(dataGov.filter.dataMonth, new Date(2024, 0, 1));
+    assert.strictEqual(dataGov.update.totalExpenditure, 150000);
+});
+
+test('new districts are only accepted in the "हिन्दी (English)" format', async t => {
+    const states = await districtIndex(t);
+    const added = mapRow(states, { stateCode: 'MH', districtName: 'नवा (Nava)', dataMonth: '2024-03', householdsWorked: 5 });
+    assert.strictEqual(added.newDistricts.length, 1);
+    assert.strictEqual(added.newDistricts[0].districtName, 'नवा (Nava)');
+
+    // Registered once: a second row for it is no longer new
+    assert.deepStrictEqual(mapRow(states, { stateCode: 'MH', districtName: 'Nava', dataMonth: '2024-04', householdsWorked: 6 }).newDistricts, []);
+});
+
+test('invalid rows are rejected with a reason', async t => {
+    const states = await districtIndex(t);
+    const base = { stateCode: 'MH', districtName: 'Pune', dataMonth: '2024-03', householdsWorked: 10 };
+    const cases = [
+        [{ ...base, stateCode: '' }, /missing state/],
+        [{ ...base, districtName: '' }, /missing district/],
+        [{ ...base, stateCode: 'Atlantis' }, /unknown state 'Atlantis'/],
+        [{ ...base, districtName: 'Nowhere' }, /unknown district 'Nowhere'/],
+        [{ ...base, districtName: 'Old' }, /district 'जुना \(Old\)' is retired/],
+        [{ ...base, dataMonth: '2024-13' }, /missing or invalid month/],
+        [{ ...base, householdsWorked: 'many' }, /householdsWorked is not a number/],
+        [{ ...base, householdsWorked: -1 }, /householdsWorked must not be negative/],
+        [{ ...base, householdsWorked: '' }, /row has no metric values/],
+        [{ ...base, panchayatName: 'Wagholi' }, /missing block for panchayat/]
+    ];
+    cases.forEach(([row, reason]) => assert.throws(() => mapRow(states, row), reason));
+    // A rejected new district is not registered
+    assert.throws(() => mapRow(states, { ...base, districtName: 'नवा (Nava)', householdsWorked: -1 }));
+    assert.strictEqual(states.get('MH').districts.has('nava'), false);
+});
+
+test('importFile reports rejected rows by their line in the file', async t => {
+    const states = await districtIndex(t);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'rows.csv');
+    fs.writeFileSync(file, 'stateCode,districtName,dataMonth,householdsWorked\r\nMH,Nowhere,2024-03,10\r\nMH,Pune,March,10\r\n');
+
+    const report = await importFile(file, states, new Map());
+    assert.strictEqual(report.rows, 2);
+    assert.strictEqual(report.rejected, 2);
+    assert.strictEqual(report.inserted, 0);
+    assert.deepStrictEqual(report.rejections, [
+        "row 2: unknown district 'Nowhere' (new districts must use the \"हिन्दी (English)\" format)",
+        'row 3: missing or invalid month'
+    ]);
+});
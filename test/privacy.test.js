@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.API_LOG_IP_MODE;
+const { anonymiseIp, coarsenCoordinates } = require('../server');
+
+test('IPv4 addresses are truncated to their /24', () => {
+    assert.strictEqual(anonymiseIp('203.0.113.57'), '203.0.113.0');
+    assert.strictEqual(anonymiseIp('::ffff:203.0.113.57'), '203.0.113.0');
+    assert.strictEqual(anonymiseIp('::FFFF:10.1.2.3'), '10.1.2.0');
+});
+
+test('IPv6 addresses are truncated to their /48', () => {
+    assert.strictEqual(anonymiseIp('2001:0db8:85a3:0000:0000:8a2e:0370:7334'), '2001:db8:85a3::');
+    assert.strictEqual(anonymiseIp('2001:db8::1'), '2001:db8:0::');
+    assert.strictEqual(anonymiseIp('fe80::1%eth0'), 'fe80:0:0::');
+    assert.strictEqual(anonymiseIp('::1'), '0:0:0::');
+});
+
+test('anything that is not an IP address is not stored', () => {
+    assert.strictEqual(anonymiseIp(undefined), undefined);
+    assert.strictEqual(anonymiseIp(''), undefined);
+    assert.strictEqual(anonymiseIp('localhost'), undefined);
+    assert.strictEqual(anonymiseIp('2001:db8::zz'), undefined);
+});
+
+test('logged coordinates are rounded to about 11 km', () => {
+    assert.deepStrictEqual(coarsenCoordinates({ lat: '18.52043', lng: '73.85674', lang: 'mr' }), { lat: '18.5', lng: '73.9', lang: 'mr' });
+    assert.deepStrictEqual(coarsenCoordinates({ lat: 'north' }), { lat: undefined, lng: undefined });
+    assert.deepStrictEqual(coarsenCoordinates({ state: 'MH' }), { state: 'MH' });
+});
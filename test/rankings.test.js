@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { District, Performance, buildRankings } = require('../server');
+
+const march = new Date(2024, 2, 1);
+const february = new Date(2024, 1, 1);
+const womenFlag = { code: 'women_exceed_active', severity: 'error', field: 'womenWorkers', message: 'More women workers than active workers' };
+const jumpFlag = { code: 'month_on_month_jump', severity: 'warning', field: 'householdsWorked', message: 'householdsWorked changed 250% from last month' };
+
+// Stands in for Performance.find(...).select(...).sort(...).lean(), sorted like the real query
+function stubRecords(t, byMonth) {
+    t.mock.method(District, 'distinct', async () => []);
+    t.mock.method(Performance, 'find', filter => ({
+        select: () => ({
+            sort: () => ({
+                lean: async () => [...(byMonth.get(filter.dataMonth.getTime()) || [])]
+                    .sort((a, b) => b.householdsWorked - a.householdsWorked || a.districtName.localeCompare(b.districtName))
+            })
+        })
+    }));
+}
+
+function rows(values) {
+    return Object.entries(values).map(([districtName, householdsWorked]) => ({ districtName, householdsWorked }));
+}
+
+test('ties share a rank and the next rank skips', async t => {
+    stubRecords(t, new Map([[march.getTime(), rows({ A: 500, B: 400, C: 400, D: 300, E: 100 })]]));
+
+    const { total, rankings } = await buildRankings('MH', 'householdsWorked', march);
+
+    assert.strictEqual(total, 5);
+    assert.deepStrictEqual(rankings.map(row => [row.district, row.rank]), [['A', 1], ['B', 2], ['C', 2], ['D', 4], ['E', 5]]);
+});
+
+test('percentile and quartile follow the rank', async t => {
+    stubRecords(t, new Map([[march.getTime(), rows({ A: 500, B: 400, C: 400, D: 300, E: 100 })]]));
+
+    const { rankings } = await buildRankings('MH', 'householdsWorked', march);
+
+    assert.deepStrictEqual(rankings.map(row => row.percentile), [100, 75, 75, 25, 0]);
+    assert.deepStrictEqual(rankings.map(row => row.quartile), [1, 1, 1, 3, 4]);
+});
+
+test('quartiles split four districts one per quarter', async t => {
+    stubRecords(t, new Map([[march.getTime(), rows({ A: 400, B: 300, C: 200, D: 100 })]]));
+
+    const { rankings } = await buildRankings('MH', 'householdsWorked', march);
+
+    assert.deepStrictEqual(rankings.map(row => row.quartile), [1, 2, 3, 4]);
+});
+
+test('a lone district is top of its state', async t => {
+    stubRecords(t, new Map([[march.getTime(), rows({ A: 500 })]]));
+
+    const [only] = (await buildRankings('MH', 'householdsWorked', march)).rankings;
+
+    assert.deepStrictEqual([only.rank, only.percentile, only.quartile], [1, 100, 1]);
+});
+
+test('rankChange is positive for a move up and null without last month\'s rank', async t => {
+    stubRecords(t, new Map([
+        [february.getTime(), rows({ A: 100, B: 300, C: 200 })],
+        [march.getTime(), rows({ A: 500, B: 400, C: 300, D: 200 })]
+    ]));
+
+    const { rankings } = await buildRankings('MH', 'householdsWorked', march);
+
+    assert.deepStrictEqual(rankings.map(row => [row.district, row.previousRank, row.rankChange]), [
+        ['A', 3, 2],
+        ['B', 1, -1],
+        ['C', 2, -1],
+        ['D', null, null]
+    ]);
+});
+
+test('records failing an error-level check are listed as unranked, not ranked', async t => {
+    const current = rows({ A: 500, B: 400, C: 300 });
+    current[0].qualityFlags = [womenFlag];
+    current[2].qualityFlags = [jumpFlag];
+    const previous = rows({ A: 100, B: 200 });
+    previous[1].qualityFlags = [womenFlag];
+    stubRecords(t, new Map([[february.getTime(), previous], [march.getTime(), current]]));
+
+    const result = await buildRankings('MH', 'householdsWorked', march);
+
+    assert.strictEqual(result.total, 2);
+    // Warnings do not unrank; B's flagged February record did not count as a rank either
+    assert.deepStrictEqual(result.rankings.map(row => [row.district, row.rank, row.previousRank]), [['B', 1, null], ['C', 2, null]]);
+    assert.deepStrictEqual(result.unranked, [{ district: 'A', value: 500, flags: ['women_exceed_active'] }]);
+});
+
+test('a month with no records has no rankings', async t => {
+    stubRecords(t, new Map());
+    assert.strictEqual(await buildRankings('MH', 'householdsWorked', march), null);
+});
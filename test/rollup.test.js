@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Performance, Block, BlockPerformance, rollUpPerformance, checkDataQuality, QUALITY_LEVELS } = require('../server');
+
+const dataMonth = new Date(2024, 5, 1);
+const district = { stateCode: 'MH', districtName: 'पुणे (Pune)' };
+const blockTotals = {
+    _id: district.districtName,
+    areaCount: 2,
+    householdsWorked: 800,
+    totalPersondays: 32000,
+    wageDays: 32000 * 250
+};
+
+test('a district month is not rolled up while some of its blocks have no figures', async t => {
+    t.mock.method(BlockPerformance, 'aggregate', async () => [blockTotals]);
+    t.mock.method(Block, 'aggregate', async () => [{ _id: district.districtName, count: 3 }]);
+    const write = t.mock.method(Performance, 'bulkWrite', async () => ({}));
+
+    const rewritten = await rollUpPerformance([{ ...district, blockName: 'हवेली (Haveli)', dataMonth }]);
+
+    assert.deepStrictEqual(rewritten, []);
+    assert.strictEqual(write.mock.callCount(), 0);
+});
+
+test('a district month is rolled up once every known block has figures', async t => {
+    t.mock.method(BlockPerformance, 'aggregate', async () => [blockTotals]);
+    t.mock.method(Block, 'aggregate', async () => [{ _id: district.districtName, count: 2 }]);
+    const write = t.mock.method(Performance, 'bulkWrite', async () => ({}));
+
+    const rewritten = await rollUpPerformance([{ ...district, blockName: 'हवेली (Haveli)', dataMonth }]);
+
+    assert.deepStrictEqual(rewritten, [{ stateCode: 'MH', dataMonth, districtName: district.districtName }]);
+    const { update } = write.mock.calls[0].arguments[0][0].updateOne;
+    assert.strictEqual(update.$set.householdsWorked, 800);
+    assert.strictEqual(update.$set.avgDaysProvided, 40);
+    assert.strictEqual(update.$set.avgWage, 250);
+    assert.strictEqual(update.$set.dataSource, 'rollup:block');
+});
+
+test('block rows get the same quality rules, compared within their district', async t => {
+    const row = { _id: 'b1', ...district, blockName: 'हवेली (Haveli)', dataMonth, activeWorkers: 100, womenWorkers: 150, householdsWorked: 90 };
+    const find = t.mock.method(BlockPerformance, 'find', () => ({ lean: async () => [row] }));
+    const write = t.mock.method(BlockPerformance, 'bulkWrite', async () => ({}));
+
+    const flagged = await checkDataQuality([{ ...row }], QUALITY_LEVELS.block);
+
+    assert.strictEqual(flagged, 1);
+    assert.strictEqual(find.mock.calls[0].arguments[0].districtName, district.districtName);
+    const { update } = write.mock.calls[0].arguments[0][0].updateOne;
+    assert.deepStrictEqual(update.$set.qualityFlags.map(flag => flag.code), ['women_exceed_active']);
+});
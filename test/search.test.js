@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const registry = require('../data/india-registry.json');
+const { District, searchKey, nameMatchScore, searchDistricts, invalidateDistrictSearchIndex } = require('../server');
+
+const score = (query, name) => nameMatchScore(searchKey(query), searchKey(name));
+
+test('searchKey folds scripts and spelling variants to one key', () => {
+    assert.strictEqual(searchKey('औरंगाबाद'), searchKey('Aurangabad'));
+    assert.strictEqual(searchKey('Aurangabaad'), searchKey('Aurangabad'));
+    assert.strictEqual(searchKey('पुणे'), 'pune');
+    assert.strictEqual(searchKey('Gadchirolli'), searchKey('Gadchiroli'));
+    assert.strictEqual(searchKey('  '), '');
+});
+
+test('nameMatchScore ranks exact, prefix, contained and misspelt names', () => {
+    assert.strictEqual(score('Pune', 'पुणे'), 100);
+    assert.strictEqual(score('Pun', 'Pune'), 90);
+    assert.strictEqual(score('Aurangabad District', 'Aurangabad'), 65);
+    assert.strictEqual(score('Puna', 'Pune'), 50);
+    assert.strictEqual(score('xyz', 'Pune'), 0);
+    assert.strictEqual(nameMatchScore('', 'pune'), 0);
+});
+
+test('Raigad is not found under the name of the Chhattisgarh district Raigarh', () => {
+    const raigad = registry.states.find(state => state.stateCode === 'MH').districts.find(district => district.en === 'Raigad');
+    assert.ok(!(raigad.aliases || []).includes('Raigarh'));
+    assert.deepStrictEqual(raigad.removedAliases, ['Raigarh']);
+});
+
+test('search keys are loaded once and reloaded after an invalidation', async t => {
+    invalidateDistrictSearchIndex();
+    const districts = [
+        { stateCode: 'MH', districtName: 'पुणे (Pune)', localNames: { hi: 'पुणे', en: 'Pune', mr: 'पुणे' } },
+        { stateCode: 'MH', districtName: 'छत्रपति संभाजीनगर (Chhatrapati Sambhajinagar)', formerNames: ['औरंगाबाद (Aurangabad)'] }
+    ];
+    const find = t.mock.method(District, 'find', () => ({ lean: async () => districts }));
+
+    const [first] = await searchDistricts('Aurangabad');
+    const [second] = await searchDistricts('pune', { stateCode: 'MH' });
+    assert.strictEqual(first.matchType, 'formerName');
+    assert.strictEqual(second.district.districtName, 'पुणे (Pune)');
+    assert.deepStrictEqual(await searchDistricts('pune', { stateCode: 'KA' }), []);
+    assert.strictEqual(find.mock.callCount(), 1);
+
+    districts.push({ stateCode: 'MH', districtName: 'नागपुर (Nagpur)' });
+    invalidateDistrictSearchIndex();
+    const [third] = await searchDistricts('Nagpur');
+    assert.strictEqual(third.district.districtName, 'नागपुर (Nagpur)');
+    assert.strictEqual(find.mock.callCount(), 2);
+});
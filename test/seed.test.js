@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const registry = require('../data/india-registry.json');
+const { District, Performance, DistrictAggregate, seedState } = require('../server');
+
+test('reseeding fills only the display names a district lacks', async t => {
+    const state = registry.states.find(entry => entry.stateCode === 'MH');
+    t.mock.method(District, 'find', async () => []);
+    const bulkWrite = t.mock.method(District, 'bulkWrite', async () => ({ upsertedCount: 0 }));
+    t.mock.method(Performance, 'countDocuments', async () => 0);
+    t.mock.method(DistrictAggregate, 'countDocuments', async () => 1);
+
+    await seedState(state);
+
+    const operations = bulkWrite.mock.calls[0].arguments[0].map(operation => operation.updateOne);
+    assert.ok(operations.every(operation => !operation.update.$set || !('localNames' in operation.update.$set)));
+
+    const pune = operations.filter(operation => operation.filter.districtName === 'पुणे (Pune)');
+    assert.strictEqual(pune[0].upsert, true);
+    assert.deepStrictEqual(pune[0].update.$setOnInsert.localNames, { hi: 'पुणे', en: 'Pune', mr: 'पुणे' });
+    assert.deepStrictEqual(pune.slice(1).map(operation => operation.filter['localNames.mr']).filter(Boolean), [{ $in: [null, ''] }]);
+    assert.ok(pune.slice(1).every(operation => !operation.upsert));
+});
+
+test('outside demo mode startup writes no synthetic figures', async t => {
+    const state = registry.states.find(entry => entry.stateCode === 'RJ');
+    t.mock.method(District, 'find', async () => [{ stateCode: 'RJ', districtName: 'Ajmer' }]);
+    t.mock.method(District, 'bulkWrite', async () => ({ upsertedCount: 0 }));
+    t.mock.method(DistrictAggregate, 'countDocuments', async () => 0);
+    t.mock.method(Performance, 'exists', async () => null);
+    const performanceWrite = t.mock.method(Performance, 'bulkWrite', async () => ({ upsertedCount: 0, modifiedCount: 0 }));
+
+    await seedState(state);
+
+    assert.strictEqual(performanceWrite.mock.callCount(), 0);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const axios = require('axios');
+
+process.env.SMS_WEBHOOK_URL = 'http://127.0.0.1:9/sms';
+process.env.SUBSCRIPTION_POW_BITS = '8';
+process.env.SUBSCRIPTION_DAILY_LIMIT_PER_IP = '3';
+process.env.SUBSCRIPTION_DAILY_LIMIT_PER_CONTACT = '2';
+const { app, District, Subscription } = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte !== 0) return bits + Math.clz32(byte) - 24;
+        bits += 8;
+    }
+    return bits;
+}
+
+async function solvedChallenge() {
+    const { challenge, bits } = await (await fetch(`${baseUrl}/api/subscriptions/challenge`)).json();
+    let nonce = 0;
+    while (leadingZeroBits(crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest()) < bits) nonce++;
+    return { challenge, nonce };
+}
+
+function subscribe(body) {
+    return fetch(`${baseUrl}/api/subscriptions`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'accept-language': 'en' },
+        body: JSON.stringify({ state: 'MH', district: 'पुणे (Pune)', channel: 'sms', locale: 'en', ...body })
+    });
+}
+
+function stubOptIn(t) {
+    t.mock.method(District, 'findOne', () => ({ lean: async () => ({ stateCode: 'MH', districtName: 'पुणे (Pune)' }) }));
+    t.mock.method(Subscription, 'findOne', async () => null);
+    t.mock.method(Subscription.prototype, 'save', async function () { return this; });
+    return t.mock.method(axios, 'post', async () => ({ status: 202 }));
+}
+
+test('a code is only sent with a solved, unspent challenge', async t => {
+    const send = stubOptIn(t);
+
+    assert.strictEqual((await subscribe({ contact: '+919800000001' })).status, 400);
+    assert.strictEqual((await subscribe({ contact: '+919800000001', challenge: 'forged.challenge.value', nonce: 1 })).status, 400);
+
+    const solved = await solvedChallenge();
+    assert.strictEqual((await subscribe({ contact: '+919800000001', ...solved })).status, 202);
+    assert.strictEqual((await subscribe({ contact: '+919800000001', ...solved })).status, 400);
+    assert.strictEqual(send.mock.callCount(), 1);
+});
+
+test('daily caps per contact and per client IP stop further codes', async t => {
+    const send = stubOptIn(t);
+
+    // The first test used one of this IP's three codes and one of +919800000001's two
+    assert.strictEqual((await subscribe({ contact: '+919800000001', ...await solvedChallenge() })).status, 202);
+    assert.strictEqual((await subscribe({ contact: '+919800000001', ...await solvedChallenge() })).status, 429);
+    assert.strictEqual((await subscribe({ contact: '+919800000002', ...await solvedChallenge() })).status, 202);
+    const blocked = await subscribe({ contact: '+919800000003', ...await solvedChallenge() });
+
+    assert.strictEqual(blocked.status, 429);
+    assert.match((await blocked.json()).error, /tomorrow/);
+    assert.strictEqual(send.mock.callCount(), 2);
+});
+
+test('the unsubscribe link shows a page in the subscriber\'s language', async t => {
+    const subscription = {
+        stateCode: 'MH',
+        districtName: 'पुणे (Pune)',
+        locale: 'mr',
+        status: 'active',
+        set(changes) { Object.assign(this, changes); },
+        save: async () => {}
+    };
+    t.mock.method(Subscription, 'findOne', async () => subscription);
+    t.mock.method(District, 'findOne', () => ({ lean: async () => ({ districtName: 'पुणे (Pune)', localNames: { hi: 'पुणे', en: 'Pune', mr: 'पुणे' } }) }));
+
+    const response = await fetch(`${baseUrl}/api/subscriptions/unsubscribe?token=abc`);
+    const page = await response.text();
+
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/html/);
+    assert.match(page, /<html lang="mr">/);
+    assert.match(page, /आता तुम्हाला या जिल्ह्याच्या सूचना मिळणार नाहीत\./);
+    assert.strictEqual(subscription.status, 'unsubscribed');
+});
+
+test('non-string districts and inherited channel names are rejected before any lookup', async t => {
+    const findDistrict = t.mock.method(District, 'findOne', () => ({ lean: async () => null }));
+
+    const operator = await subscribe({ state: { $ne: '' }, district: { $ne: '' }, contact: '+919800000004', ...await solvedChallenge() });
+    assert.strictEqual(operator.status, 400);
+
+    for (const channel of ['constructor', 'toString', '__proto__', ['sms']]) {
+        const response = await subscribe({ channel, contact: '+919800000004', ...await solvedChallenge() });
+        assert.strictEqual(response.status, 400, String(channel));
+        assert.deepStrictEqual((await response.json()).allowed, ['sms']);
+    }
+    assert.strictEqual(findDistrict.mock.callCount(), 0);
+});
+
+test('subscriptions are keyed on the stored district', async t => {
+    t.mock.method(District, 'findOne', () => ({ lean: async () => ({ stateCode: 'MH', districtName: 'पुणे (Pune)' }) }));
+    const findSubscription = t.mock.method(Subscription, 'findOne', async () => new Subscription({
+        channel: 'sms',
+        contact: '+919800000005',
+        stateCode: 'MH',
+        districtName: 'पुणे (Pune)',
+        status: 'active'
+    }));
+
+    // The stub answers any filter, so a key built from the request would say 'Pune'
+    const response = await subscribe({ district: 'Pune', contact: '+91 98000 00005', ...await solvedChallenge() });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(findSubscription.mock.calls[0].arguments[0], {
+        channel: 'sms',
+        contact: '+919800000005',
+        stateCode: 'MH',
+        districtName: 'पुणे (Pune)'
+    });
+});
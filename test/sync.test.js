@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SyncLog, syncMGNREGAData } = require('../server');
+
+test('a second sync started while the first checks SyncLog is skipped in-process', async t => {
+    let release;
+    const findOne = t.mock.method(SyncLog, 'findOne', () => new Promise(resolve => {
+        release = () => resolve({ startedAt: new Date() });
+    }));
+
+    const first = syncMGNREGAData();
+    const second = await syncMGNREGAData();
+    release();
+
+    assert.deepStrictEqual(second, { skipped: true });
+    assert.deepStrictEqual(await first, { skipped: true });
+    assert.strictEqual(findOne.mock.callCount(), 1);
+});
+
+test('a failed SyncLog.create releases the lock', async t => {
+    t.mock.method(SyncLog, 'findOne', async () => null);
+    t.mock.method(SyncLog, 'create', async () => {
+        throw new Error('database unavailable');
+    });
+    await assert.rejects(syncMGNREGAData(), /database unavailable/);
+
+    const findOne = t.mock.method(SyncLog, 'findOne', async () => ({ startedAt: new Date() }));
+    assert.deepStrictEqual(await syncMGNREGAData(), { skipped: true });
+    assert.strictEqual(findOne.mock.callCount(), 1);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { generateSyntheticRecords, ruleQualityFlags, historyQualityFlags } = require('../server');
+
+const districts = Array.from({ length: 12 }, (_, i) => ({ stateCode: i < 6 ? 'MH' : 'RJ', districtName: `District ${i + 1}` }));
+const endMonth = new Date(2025, 2, 1);
+
+function withoutMonth({ dataMonth, ...record }) {
+    return { month: `${dataMonth.getFullYear()}-${dataMonth.getMonth() + 1}`, ...record };
+}
+
+test('records cover every district and month, oldest first', () => {
+    const records = generateSyntheticRecords(districts, { seed: 'test', months: 24, endMonth });
+    assert.strictEqual(records.length, districts.length * 24);
+
+    const first = records.filter(record => record.districtName === 'District 1');
+    assert.strictEqual(first.length, 24);
+    assert.deepStrictEqual(first[0].dataMonth, new Date(2023, 3, 1));
+    assert.deepStrictEqual(first[23].dataMonth, endMonth);
+    first.slice(1).forEach((record, i) => assert.ok(record.dataMonth > first[i].dataMonth));
+});
+
+test('figures depend only on the seed, district and month', () => {
+    const full = generateSyntheticRecords(districts, { seed: 'test', months: 36, endMonth }).map(withoutMonth);
+    assert.deepStrictEqual(generateSyntheticRecords(districts, { seed: 'test', months: 36, endMonth }).map(withoutMonth), full);
+
+    // A shorter window or a subset of districts gives the same numbers for the months it covers
+    const subset = generateSyntheticRecords([districts[7]], { seed: 'test', months: 6, endMonth: new Date(2024, 8, 1) }).map(withoutMonth);
+    const expected = full.filter(record => record.districtName === 'District 8' && /^2024-[4-9]$/.test(record.month));
+    assert.deepStrictEqual(subset, expected);
+
+    const other = generateSyntheticRecords(districts, { seed: 'other', months: 36, endMonth }).map(withoutMonth);
+    assert.notDeepStrictEqual(other, full);
+});
+
+test('generated records are internally consistent and pass the quality rules', () => {
+    const records = generateSyntheticRecords(districts, { seed: 'test', months: 36, endMonth });
+    records.forEach(record => {
+        assert.ok(record.womenWorkers <= record.activeWorkers);
+        assert.ok(record.scWorkers <= record.activeWorkers);
+        assert.ok(record.stWorkers <= record.activeWorkers);
+        assert.ok(record.activeWorkers <= record.householdsWorked);
+        assert.ok(record.householdsWorked <= record.jobCardsIssued);
+        assert.ok(record.avgDaysProvided > 0 && record.avgDaysProvided <= 100);
+        assert.ok(record.totalExpenditure > record.totalPersondays * record.avgWage);
+        assert.deepStrictEqual(ruleQualityFlags(record), [], `${record.districtName} ${record.dataMonth}`);
+    });
+
+    // Seasonality and trends stay well inside the month-on-month jump threshold
+    districts.forEach(({ districtName }) => {
+        const series = records.filter(record => record.districtName === districtName);
+        series.slice(1).forEach((record, i) => {
+            const jumps = historyQualityFlags(record, series[i], []).filter(flag => flag.code === 'month_on_month_jump');
+            assert.deepStrictEqual(jumps, []);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { app, validateV1Query, V1_PARAMS } = require('../server');
+
+const schema = {
+    state: { ...V1_PARAMS.state, required: true },
+    metric: V1_PARAMS.metric,
+    month: V1_PARAMS.month,
+    limit: V1_PARAMS.limit
+};
+
+test('valid parameters are parsed and defaults filled in', () => {
+    const { values, details } = validateV1Query(schema, { state: 'MH', month: '2024-03', limit: '20' });
+    assert.deepStrictEqual(details, []);
+    assert.strictEqual(values.state, 'MH');
+    assert.strictEqual(values.metric, 'householdsWorked');
+    assert.strictEqual(values.limit, 20);
+    assert.strictEqual(values.month.getFullYear(), 2024);
+    assert.strictEqual(values.month.getMonth(), 2);
+});
+
+test('missing, unknown and repeated parameters are reported', () => {
+    const { details } = validateV1Query(schema, { stat: 'MH', metric: ['householdsWorked', 'personDays'] });
+    assert.deepStrictEqual(details, [
+        { parameter: 'stat', issue: 'unknown' },
+        { parameter: 'state', issue: 'required' },
+        { parameter: 'metric', issue: 'not_single_value' }
+    ]);
+});
+
+test('each rule type rejects values outside it', () => {
+    const { values, details } = validateV1Query(schema, { state: 'mh', metric: 'salary', month: '2024-13', limit: '500' });
+    assert.deepStrictEqual(values, {});
+    assert.deepStrictEqual(details, [
+        { parameter: 'state', issue: 'invalid_format' },
+        { parameter: 'metric', issue: 'not_allowed', allowed: V1_PARAMS.metric.values },
+        { parameter: 'month', issue: 'invalid_format', expected: 'YYYY-MM' },
+        { parameter: 'limit', issue: 'out_of_range', min: 1, max: V1_PARAMS.limit.max }
+    ]);
+
+    assert.deepStrictEqual(validateV1Query(schema, { state: 'MH', limit: '1.5' }).details, [{ parameter: 'limit', issue: 'not_integer' }]);
+    assert.deepStrictEqual(validateV1Query({ district: V1_PARAMS.district }, { district: 'x'.repeat(V1_PARAMS.district.maxLength + 1) }).details, [
+        { parameter: 'district', issue: 'too_long', max: V1_PARAMS.district.maxLength }
+    ]);
+});
+
+test('routes answer invalid queries with the v1 error shape before touching the database', async () => {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/api/v1/districts?state=MH&page=0&lang=en`);
+        assert.strictEqual(res.status, 400);
+        assert.deepStrictEqual(await res.json(), {
+            error: {
+                code: 'invalid_parameters',
+                message: 'Invalid query parameters',
+                details: [{ parameter: 'page', issue: 'out_of_range', min: 1 }]
+            }
+        });
+    } finally {
+        server.close();
+    }
+});